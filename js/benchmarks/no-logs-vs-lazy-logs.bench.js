@@ -1,5 +1,6 @@
 import { bench, run } from 'mitata';
 import makeLog from '../src/index.js';
+import { getLevelOrDefault } from '../src/levels.js';
 
 // Mock console to prevent output
 const mockConsole = {
@@ -179,5 +180,56 @@ bench('Lazy logs - Tight loop (disabled)', () => {
   return sum;
 });
 
+// Benchmark 4: Disabled call path (100k iterations)
+// Disabled level methods are rebound to a shared no-op. For comparison, the path every call took
+// before that change is rebuilt below from the same pieces: the method collected its arguments,
+// passed them on to logMessage, which read the scoped level and resolved the level through
+// getLevelOrDefault before checking the mask.
+const makePreviousCallPath = (mask, levelsMap) => {
+  const levelScope = undefined; // No withLevel scope, like the loggers below
+  const scopedLevel = () => (levelScope === undefined ? undefined : levelScope.getStore());
+  const activeLevel = () => {
+    const scoped = scopedLevel();
+    return scoped === undefined ? mask : scoped;
+  };
+  const shouldLog = (level) => {
+    const active = activeLevel();
+    if (active === 0) return false;
+    return (active & getLevelOrDefault(level, levelsMap, 0)) !== 0;
+  };
+  const logMessage = (level, ...args) => {
+    if (!shouldLog(level)) return undefined;
+    return args;
+  };
+  return (...args) => logMessage(levelsMap.debug, ...args);
+};
+
+bench('Lazy logs - Disabled call (previous call path)', () => {
+  const log = makeLog({ level: 'error', log: { error: mockConsole.error } });
+  const debug = makePreviousCallPath(log.level, log.levels);
+  
+  for (let i = 0; i < 100000; i++) {
+    debug(() => `Iteration ${i}`);
+  }
+});
+
+bench('Lazy logs - Disabled call (rebound no-op)', () => {
+  const log = makeLog({ level: 'error', log: { error: mockConsole.error } });
+  
+  for (let i = 0; i < 100000; i++) {
+    log.debug(() => `Iteration ${i}`);
+  }
+});
+
+// A logger that has used withLevel keeps methods that check its scoped mask on every call
+bench('Lazy logs - Disabled call (checked per call after withLevel)', () => {
+  const log = makeLog({ level: 'error', log: { error: mockConsole.error } });
+  log.withLevel('error', () => {});
+  
+  for (let i = 0; i < 100000; i++) {
+    log.debug(() => `Iteration ${i}`);
+  }
+});
+
 // Run benchmarks
 await run();
\ No newline at end of file
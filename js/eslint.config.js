@@ -15,6 +15,9 @@ export default [
         __filename: 'readonly',
         URL: 'readonly',
         URLSearchParams: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        performance: 'readonly',
         Bun: 'readonly',
         Deno: 'readonly',
       }
@@ -2,7 +2,8 @@ import makeLog from '../src/index.js';
 
 // Production: minimal logging, maximum performance
 const log = makeLog({ 
-  level: process.env.NODE_ENV === 'production' ? 'production' : 'all'
+  level: process.env.NODE_ENV === 'production' ? 'production' : 'all',
+  deep: true // also call the thunks nested in logged objects
 });
 
 class UserService {
@@ -19,62 +19,249 @@ export interface LogLevels {
   [key: string]: number;
 }
 
-export interface LogOptions {
+/** Syslog severities (RFC 5424) with their bitwise values */
+export interface SyslogLevels {
+  readonly none: 0;
+  readonly emergency: 1;
+  readonly alert: 2;
+  readonly critical: 4;
+  readonly error: 8;
+  readonly warn: 16;
+  readonly notice: 32;
+  readonly info: 64;
+  readonly debug: 128;
+  readonly all: 255;
+  readonly production: 31;
+  readonly development: 255;
+  [key: string]: number;
+}
+
+/** Output function receiving the resolved log arguments */
+export type LogOutput = (...args: any[]) => void;
+
+/** What output functions from `log` receive for each call when the `records` option is set */
+export interface LogRecord {
+  /** Bit of the level the call was made at */
+  level: number;
+  levelName: string;
+  /** Time of the call in milliseconds since the epoch */
+  time: number;
+  /** Leading string argument, or an empty string when the call has none */
+  msg: string;
+  /** Resolved arguments after the message */
+  args: unknown[];
+  /** Structured data of the call, such as named template interpolations */
+  fields: Record<string, unknown>;
+  /** Name of the logger, or an empty string for unnamed loggers */
+  logger: string;
+}
+
+/** One output function or several that receive the same resolved arguments */
+export type LogOutputs = LogOutput | readonly LogOutput[];
+
+/**
+ * Result of a log call: a promise that settles once the output is written when
+ * arguments are promises (or thunks returning promises) or earlier calls of the
+ * same logger still wait for theirs, otherwise undefined
+ */
+export type LogResult = void | Promise<void>;
+
+/**
+ * Method logging at a single level. Also usable as a template tag:
+ * ``log.debug`User ${() => user.id}` `` builds the message only when the level is enabled,
+ * and named interpolations like `${{ userId: () => user.id }}` are passed on as fields.
+ */
+export interface LogMethod {
+  (...args: any[]): LogResult;
+  /** Whether the level is enabled right now, following level changes, scopes and escalations */
+  readonly enabled: boolean;
+}
+
+export interface LogOptions<CustomLevel extends string = never> {
   /** The logging level (number, string name, or custom combination) */
   level?: number | string;
+  /**
+   * Level model: `classic` (default) with fatal through silly, or `syslog` with the
+   * RFC 5424 severities emergency, alert, critical, error, warn, notice, info and debug
+   * (aliases: emerg, crit, err, warning, informational)
+   */
+  model?: 'classic' | 'syslog';
+  /**
+   * Logger name (e.g. `app:db`); named loggers take their level from the
+   * process-wide namespace spec when one of its rules matches
+   */
+  name?: string;
   /** Preset configuration name */
   preset?: string;
-  /** Custom output functions for each log level */
+  /**
+   * Custom level names, allocated to the next free bits (256, 512, ...)
+   * after the built-in levels. Each one gets its own log method.
+   */
+  levels?: readonly CustomLevel[];
+  /**
+   * Throw a descriptive error for unknown level names (in the constructor, the
+   * `level` setter, `enableLevel`, `disableLevel` and `shouldLog`) instead of
+   * silently falling back to the default level
+   */
+  strict?: boolean;
+  /**
+   * Output format: `text` (default) passes the resolved arguments to the output
+   * functions, `json` passes one JSON line per call with `time` (when the call was made, also
+   * for lines written after awaited arguments), `level`, `msg` and `args`, plus the call's
+   * fields (bound and named template fields) as top-level keys
+   */
+  format?: 'text' | 'json';
+  /**
+   * Pass one {@link LogRecord} per call to the output functions given in `log` instead of
+   * the resolved arguments (default `false`). Console defaults keep receiving the arguments.
+   */
+  records?: boolean;
+  /**
+   * How long promise arguments may take to settle before the call is written with
+   * a placeholder in their place (default 5000)
+   */
+  asyncTimeoutMs?: number;
+  /**
+   * Also call functions nested in plain object and array arguments (including the
+   * values returned by thunks), recursively up to `maxDepth` levels (default 10).
+   * Class instances are passed through untouched.
+   */
+  deep?: boolean | { maxDepth?: number };
+  /**
+   * What to do when a function argument throws or a promise argument rejects:
+   * - `placeholder` (default): log `[Error evaluating log argument function: <message>]` in its place
+   * - `rethrow`: throw from the log call (reject its promise for async arguments) without writing
+   * - `report`: log the placeholder and an extra error-level record with the error and callsite
+   * - a callback: its return value is logged in place of the argument
+   */
+  onEvaluationError?: 'placeholder' | 'rethrow' | 'report' | EvaluationErrorHandler;
+  /**
+   * Time every function argument and write a warn record (level, duration and callsite)
+   * for those running longer than `maxMs`
+   */
+  evaluationBudget?: EvaluationBudget;
+  /**
+   * Read `LOG_LAZY_LEVEL`, `LOG_LAZY_FORMAT` and `LOG_LAZY_NAMESPACES` from the
+   * environment (default `true`). Explicit `level` and `format` options take
+   * precedence over the environment.
+   */
+  env?: boolean;
+  /**
+   * Custom output functions for each log level (including custom levels).
+   * Several functions for one level all receive the same resolved arguments.
+   * Syslog levels without their own function use the classic one: emergency, alert
+   * and critical use `fatal`, notice uses `info`.
+   */
   log?: {
-    fatal?: (...args: any[]) => void;
-    error?: (...args: any[]) => void;
-    warn?: (...args: any[]) => void;
-    info?: (...args: any[]) => void;
-    debug?: (...args: any[]) => void;
-    verbose?: (...args: any[]) => void;
-    trace?: (...args: any[]) => void;
-    silly?: (...args: any[]) => void;
-  };
+    emergency?: LogOutputs;
+    alert?: LogOutputs;
+    critical?: LogOutputs;
+    notice?: LogOutputs;
+    fatal?: LogOutputs;
+    error?: LogOutputs;
+    warn?: LogOutputs;
+    info?: LogOutputs;
+    debug?: LogOutputs;
+    verbose?: LogOutputs;
+    trace?: LogOutputs;
+    silly?: LogOutputs;
+  } & { [K in CustomLevel]?: LogOutputs };
   /** Custom presets for different environments */
   presets?: {
     [key: string]: Partial<LogOptions>;
   };
 }
 
-export interface LogFunction {
+/** Where a failed lazy argument was logged, passed to `onEvaluationError` callbacks */
+export interface EvaluationErrorInfo {
+  /** Name of the level of the log call */
+  level: string;
+  /** `path:line:column` of the log call, when the runtime provides stack traces */
+  callsite: string | undefined;
+}
+
+/** Callback for `onEvaluationError` returning the value logged in place of the argument */
+export type EvaluationErrorHandler = (error: unknown, info: EvaluationErrorInfo) => unknown;
+
+/** Options for `evaluationBudget` */
+export interface EvaluationBudget {
+  /** Longest a function argument may run before it is reported */
+  maxMs: number;
+  /**
+   * Stop evaluating function arguments of a callsite once it went over budget this many
+   * times; they are logged as `[Skipped slow log argument function]` instead
+   */
+  skipAfter?: number;
+}
+
+/** Description of a level mask change passed to `onLevelChange` listeners */
+export interface LevelChange {
+  /** Mask before the change */
+  previous: number;
+  /** Mask after the change */
+  current: number;
+  /** Names of the levels that were enabled by the change */
+  added: string[];
+  /** Names of the levels that were disabled by the change */
+  removed: string[];
+  /**
+   * What caused the change: the `level` setter, `enableLevel`, `disableLevel`,
+   * `escalate`, the end of an escalation (timeout or `cancelEscalation`),
+   * the namespace spec (`setNamespaces`), or the parent of a child logger
+   */
+  reason: 'set' | 'enable' | 'disable' | 'escalate' | 'revert' | 'namespace' | 'inherit';
+}
+
+/** Options for `escalate` */
+export interface EscalateOptions {
+  /** How long the escalation lasts before the added levels are disabled again */
+  durationMs: number;
+}
+
+/** Methods shared by loggers of every level model */
+export interface BaseLogFunction {
   /** Log at info level (default) */
-  (...args: any[]): void;
-  
-  /** Log at fatal level */
-  fatal(...args: any[]): void;
+  (...args: any[]): LogResult;
   
   /** Log at error level */
-  error(...args: any[]): void;
+  error: LogMethod;
   
   /** Log at warn level */
-  warn(...args: any[]): void;
+  warn: LogMethod;
   
   /** Log at info level */
-  info(...args: any[]): void;
+  info: LogMethod;
   
   /** Log at debug level */
-  debug(...args: any[]): void;
+  debug: LogMethod;
   
-  /** Log at verbose level */
-  verbose(...args: any[]): void;
+  /** Whether error is enabled right now (same as `error.enabled`) */
+  readonly isErrorEnabled: boolean;
   
-  /** Log at trace level */
-  trace(...args: any[]): void;
+  /** Whether warn is enabled right now (same as `warn.enabled`) */
+  readonly isWarnEnabled: boolean;
   
-  /** Log at silly level */
-  silly(...args: any[]): void;
+  /** Whether info is enabled right now (same as `info.enabled`) */
+  readonly isInfoEnabled: boolean;
+  
+  /** Whether debug is enabled right now (same as `debug.enabled`) */
+  readonly isDebugEnabled: boolean;
   
   /** Current log level mask */
   level: number;
   
+  /** Logger name given in the options (empty string for unnamed loggers) */
+  readonly name: string;
+  
   /** Check if a level should log */
   shouldLog(level: number | string): boolean;
   
+  /**
+   * Run a block of diagnostics only when a level is enabled
+   * @returns The return value of `fn`, or undefined when the level is disabled
+   */
+  when<T>(level: number | string, fn: () => T): T | undefined;
+  
   /** Enable a specific log level */
   enableLevel(level: number | string): void;
   
@@ -83,14 +270,154 @@ export interface LogFunction {
   
   /** Get array of enabled level names */
   getEnabledLevels(): string[];
+  
+  /**
+   * Subscribe to level mask changes made through `level`, `enableLevel` or `disableLevel`.
+   * Every listener and child logger is notified even if one throws; the first error is then
+   * rethrown, except for the timed revert of an escalation, which writes it at error level.
+   * @returns Function that removes the listener
+   */
+  onLevelChange(listener: (change: LevelChange) => void): () => void;
+  
+  /**
+   * Run a function with a different level mask for everything executed inside it,
+   * including awaited continuations where AsyncLocalStorage is available
+   * @returns The return value of `fn`
+   */
+  withLevel<T>(level: number | string, fn: () => T): T;
+  
+  /**
+   * Temporarily enable levels; they are disabled again after `durationMs`
+   * (reported to `onLevelChange` listeners with reason `'revert'`).
+   * The revert timer does not keep the process alive.
+   */
+  escalate(level: number | string, options: EscalateOptions): void;
+  
+  /**
+   * End the active escalation now, disabling the levels it enabled
+   * @returns Whether an escalation was active
+   */
+  cancelEscalation(): boolean;
+  
+  /**
+   * Create a child logger named `<parent name>:<name>` that shares this logger's
+   * options and follows its level until the child's own level is set
+   * (through `options.level`, the `level` setter, `enableLevel` or `disableLevel`)
+   */
+  child(name: string, options?: LogOptions): this;
+  /**
+   * Create a logger that adds these fields to every call: as `fields` of records, as top-level
+   * keys of JSON lines and as a trailing object argument for other outputs. It shares this logger's level, scopes and
+   * outputs, and `with` calls nest. Function values run only when a call is written.
+   * @throws {TypeError} When fields is not a plain object
+   */
+  with(fields: Record<string, unknown>): this;
+}
+
+/** Logger of the classic level model */
+export interface LogFunction extends BaseLogFunction {
+  /** Log at fatal level */
+  fatal: LogMethod;
+  
+  /** Log at verbose level */
+  verbose: LogMethod;
+  
+  /** Log at trace level */
+  trace: LogMethod;
+  
+  /** Log at silly level */
+  silly: LogMethod;
+  
+  /** Whether fatal is enabled right now */
+  readonly isFatalEnabled: boolean;
+  
+  /** Whether verbose is enabled right now */
+  readonly isVerboseEnabled: boolean;
+  
+  /** Whether trace is enabled right now */
+  readonly isTraceEnabled: boolean;
+  
+  /** Whether silly is enabled right now */
+  readonly isSillyEnabled: boolean;
 }
 
+/** Logger of the syslog level model */
+export interface SyslogLogFunction extends BaseLogFunction {
+  /** Log at emergency level (system is unusable) */
+  emergency: LogMethod;
+  
+  /** Log at alert level (action must be taken immediately) */
+  alert: LogMethod;
+  
+  /** Log at critical level */
+  critical: LogMethod;
+  
+  /** Log at notice level (normal but significant conditions) */
+  notice: LogMethod;
+  
+  /** Alias of `emergency` */
+  emerg: LogMethod;
+  
+  /** Alias of `critical` */
+  crit: LogMethod;
+  
+  /** Alias of `error` */
+  err: LogMethod;
+  
+  /** Alias of `warn` */
+  warning: LogMethod;
+  
+  /** Alias of `info` */
+  informational: LogMethod;
+  
+  /** Whether emergency is enabled right now */
+  readonly isEmergencyEnabled: boolean;
+  
+  /** Whether alert is enabled right now */
+  readonly isAlertEnabled: boolean;
+  
+  /** Whether critical is enabled right now */
+  readonly isCriticalEnabled: boolean;
+  
+  /** Whether notice is enabled right now */
+  readonly isNoticeEnabled: boolean;
+  
+  /** Whether emerg is enabled right now */
+  readonly isEmergEnabled: boolean;
+  
+  /** Whether crit is enabled right now */
+  readonly isCritEnabled: boolean;
+  
+  /** Whether err is enabled right now */
+  readonly isErrEnabled: boolean;
+  
+  /** Whether warning is enabled right now */
+  readonly isWarningEnabled: boolean;
+  
+  /** Whether informational is enabled right now */
+  readonly isInformationalEnabled: boolean;
+}
+
+/** Methods and `is<Level>Enabled` guards of custom levels */
+export type CustomLevelMembers<CustomLevel extends string> =
+  { [K in CustomLevel]: LogMethod } &
+  { readonly [K in CustomLevel as `is${Capitalize<K>}Enabled`]: boolean };
+
+/** Logger function extended with methods for its custom levels */
+export type CustomLogFunction<CustomLevel extends string = never> =
+  LogFunction & CustomLevelMembers<CustomLevel>;
+
 /**
  * Create a new logger instance
  * @param options - Configuration options for the logger
  * @returns A configured logger function with level methods
  */
-declare function makeLog(options?: LogOptions): LogFunction;
+declare function makeLog<const CustomLevel extends string = never>(
+  options: LogOptions<CustomLevel> & { model: 'syslog' }
+): SyslogLogFunction & CustomLevelMembers<CustomLevel>;
+declare function makeLog<const CustomLevel extends string = never>(
+  options?: LogOptions<CustomLevel>
+): CustomLogFunction<CustomLevel>;
 
 export default makeLog;
 export { makeLog };
@@ -98,9 +425,105 @@ export { makeLog };
 /** Available log levels with their bitwise values */
 export declare const levels: LogLevels;
 
+/** Memoized lazy value: calling, stringifying or serializing it runs the function at most once */
+export interface LazyValue<T> {
+  (): T;
+  toString(): string;
+  valueOf(): T;
+  toJSON(): T;
+}
+
+/**
+ * Wrap a function so it runs at most once, however many outputs or formatters read its value.
+ * Errors thrown by the function are remembered and rethrown on every read.
+ */
+export declare function lazy<T>(fn: () => T): LazyValue<T>;
+
+/** Syslog severities (RFC 5424) used by loggers created with `model: 'syslog'` */
+export declare const syslogLevels: SyslogLevels;
+
 /** Array of level names in order */
 export declare const levelNames: readonly string[];
 
+/**
+ * Convert a level to its numeric mask.
+ * Strings can be level or preset names, numbers, thresholds (`info+`, `>=debug`, `<=warn`)
+ * or expressions combining them (`error|warn`, `all&~silly`, `development,-debug`).
+ * @param level - Level to convert
+ * @param levelsMap - Map of level and preset names to masks
+ * @throws {SyntaxError} When the string is a malformed expression, including a list starting with `-`
+ * @throws {SyntaxError} When the string is a malformed expression
+ */
+export declare function getLevelOrDefault(
+  level: number | string | undefined,
+  levelsMap: { [name: string]: number },
+  defaultValue?: number
+): number;
+
+/**
+ * Set the process-wide namespace spec deciding the level of named loggers,
+ * e.g. `app:*=info,app:db=debug,-app:http`. Rules are separated by commas or
+ * whitespace, `*` is a wildcard, a bare pattern enables all levels, `-pattern`
+ * disables them, and the last matching rule wins. Existing named loggers are
+ * re-evaluated immediately.
+ * @throws {SyntaxError} When a rule is malformed
+ */
+export declare function setNamespaces(spec?: string): void;
+
+/** Get the current namespace spec */
+export declare function getNamespaces(): string;
+
+/**
+ * Run a function with fields that every logger merges into the calls made inside it, including
+ * async work it starts (Node.js, Bun and Deno). Nested calls add to the enclosing fields; fields
+ * bound with `log.with` and named template interpolations take precedence. The fields go to record
+ * outputs and JSON lines; positional outputs receive their usual arguments. Where the runtime has
+ * no AsyncLocalStorage (e.g. browsers), only code running synchronously inside gets the fields.
+ * @returns What fn returns
+ * @throws {TypeError} When fields is not a plain object or fn is not a function
+ */
+export declare function runWithLogContext<T>(fields: Record<string, unknown>, fn: () => T): T;
+
+/** Options for installSignalControl */
+export interface SignalControlOptions {
+  /** Signal that switches to the next level (defaults to 'SIGUSR2') */
+  signal?: string;
+  /** Levels to rotate through (defaults to ['production', 'development', 'all']) */
+  cycle?: Array<number | string>;
+}
+
+/**
+ * Switch a logger to the next level of a cycle each time the process receives a signal,
+ * wrapping around at the end. Each transition is logged at warn, before the switch when the
+ * new level doesn't include warn.
+ * @returns Function that removes the signal handler
+ * @throws {TypeError} When the cycle is empty
+ * @throws {Error} When the cycle names an unknown level or the runtime has no process signals
+ */
+export declare function installSignalControl(log: BaseLogFunction, options?: SignalControlOptions): () => void;
+
+/** Options for watchLevelConfig */
+export interface LevelConfigOptions {
+  /** Delay after the last file change before the config is reloaded (defaults to 100) */
+  debounceMs?: number;
+  /** Logger that reports invalid config files at error level (defaults to the first watched logger) */
+  log?: BaseLogFunction;
+}
+
+/**
+ * Apply levels from a JSON file such as `{ "level": "info", "loggers": { "app:db": "debug" } }`
+ * and re-apply them whenever the file changes. `level` applies to loggers without an entry in
+ * `loggers`, which is keyed by logger name. Invalid files are reported at error level and the
+ * last good config stays in effect.
+ * @returns Function that stops watching the file
+ * @throws {Error} When the runtime has no node:fs and node:path (e.g. browsers)
+ */
+export declare function watchLevelConfig(
+  path: string,
+  loggers: BaseLogFunction | BaseLogFunction[],
+  options?: LevelConfigOptions
+): () => void;
+
 /** Default logger instance */
 export declare const defaultLog: LogFunction;
 
@@ -0,0 +1,26 @@
+// Asynchronous log arguments: promises, and thunks returning promises, are awaited before output.
+// A promise that doesn't settle in time is replaced with a placeholder so the call still logs.
+
+import { unrefTimer } from './timers.js';
+
+export const defaultAsyncTimeoutMs = 5000;
+
+export const isThenable = (value) => (
+  value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+);
+
+// Resolve an argument to its settled value, a timeout placeholder, or what onRejected returns
+// for a rejection (the result rejects only when onRejected throws)
+export const settleArgument = (value, timeoutMs, onRejected) => new Promise((resolve, reject) => {
+  let timer;
+  if (timeoutMs !== Infinity) {
+    timer = unrefTimer(setTimeout(() => resolve(`[Log argument timed out after ${timeoutMs}ms]`), timeoutMs));
+  }
+  Promise.resolve(value).then(resolve, error => {
+    try {
+      resolve(onRejected(error));
+    } catch (rethrown) {
+      reject(rethrown);
+    }
+  }).finally(() => clearTimeout(timer));
+});
@@ -0,0 +1,50 @@
+// Async context storage used for scoped log state.
+// Node, Bun and Deno provide AsyncLocalStorage, which follows awaited continuations, timers and
+// other async work started inside a scope. It is loaded synchronously through
+// process.getBuiltinModule (Node 20.16+), so the library stays a plain synchronous module that
+// require() and bundlers accept. Elsewhere (e.g. browsers) a synchronous stack is used, so scopes
+// still cover everything that runs synchronously inside them.
+
+const loadAsyncLocalStorage = () => {
+  try {
+    return globalThis.process?.getBuiltinModule?.('node:async_hooks')?.AsyncLocalStorage;
+  } catch (_error) {
+    return undefined;
+  }
+};
+
+let AsyncLocalStorage;
+let loaded = false;
+const getAsyncLocalStorage = () => {
+  if (!loaded) {
+    AsyncLocalStorage = loadAsyncLocalStorage();
+    loaded = true;
+  }
+  return AsyncLocalStorage;
+};
+
+// Minimal store with the run/getStore interface of AsyncLocalStorage
+const createSyncStore = () => {
+  let current;
+  return {
+    run: (store, fn, ...args) => {
+      const previous = current;
+      current = store;
+      try {
+        return fn(...args);
+      } finally {
+        current = previous;
+      }
+    },
+    getStore: () => current
+  };
+};
+
+// Whether scopes follow async continuations in this runtime
+export const hasAsyncContext = () => getAsyncLocalStorage() !== undefined;
+
+// Create a store with run(store, fn) and getStore()
+export const createContextStore = () => {
+  const Storage = getAsyncLocalStorage();
+  return Storage ? new Storage() : createSyncStore();
+};
@@ -0,0 +1,32 @@
+// Location of the code that called into the logger, for records about a log call itself.
+// Stack frames inside this package are skipped, so the first remaining frame is the caller.
+
+// File URLs in stack frames are percent-encoded, plain paths are not
+const ownDirectory = new URL('.', import.meta.url).pathname;
+const ownDirectoryPath = decodeURIComponent(ownDirectory);
+
+// Frames look like "    at fn (file:///app/x.js:1:2)" or "    at /app/x.js:1:2" (V8, Bun)
+// and "fn@file:///app/x.js:1:2" (Firefox, Safari)
+const frameLocation = (frame) => {
+  const trimmed = frame.trim().replace(/^at\s+/, '');
+  const wrapped = /\(([^()]+)\)$/.exec(trimmed);
+  if (wrapped) return wrapped[1];
+  const at = trimmed.lastIndexOf('@');
+  return at === -1 ? trimmed : trimmed.slice(at + 1);
+};
+
+// Frames of the runtime itself, e.g. Array.prototype.map in Bun or Node internals
+const isRuntimeFrame = (location) => location.startsWith('native') || location.startsWith('node:');
+
+// "path:line:column" of the first frame outside this package, or undefined when unknown
+export const captureCallsite = () => {
+  const { stack } = new Error();
+  if (typeof stack !== 'string') return undefined;
+  return stack.split('\n')
+    .slice(1)
+    .map(frameLocation)
+    .find(location => (
+      /:\d+:\d+$/.test(location) && !isRuntimeFrame(location) &&
+      !location.includes(ownDirectory) && !location.includes(ownDirectoryPath)
+    ));
+};
@@ -0,0 +1,37 @@
+// Deep resolution of lazy values nested in log arguments, enabled with the deep option:
+//   log.debug('Fetching user:', () => ({ userId: id, systemState: () => captureSystemState() }))
+// Plain objects and arrays are copied with their functions replaced by what they return,
+// recursively. Class instances (Date, Map, Error, ...) are passed through untouched.
+
+export const defaultMaxDepth = 10;
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Resolve the functions nested in a value; evaluate calls one function and handles its errors.
+// Objects referencing one of their ancestors become "[Circular]", and objects nested deeper
+// than maxDepth become "[Max depth exceeded]".
+export const resolveDeep = (value, maxDepth, evaluate) => {
+  const ancestors = [];
+  const visit = (current, depth) => {
+    const resolved = typeof current === 'function' ? evaluate(current) : current;
+    if (typeof resolved !== 'object' || resolved === null) return resolved;
+    if (!Array.isArray(resolved) && !isPlainObject(resolved)) return resolved;
+    if (ancestors.includes(resolved)) return '[Circular]';
+    if (depth >= maxDepth) return '[Max depth exceeded]';
+    ancestors.push(resolved);
+    try {
+      if (Array.isArray(resolved)) return resolved.map(item => visit(item, depth + 1));
+      const copy = Object.getPrototypeOf(resolved) === null ? Object.create(null) : {};
+      Object.keys(resolved).forEach(key => {
+        copy[key] = visit(resolved[key], depth + 1);
+      });
+      return copy;
+    } finally {
+      ancestors.pop();
+    }
+  };
+  return visit(value, 0);
+};
@@ -0,0 +1,31 @@
+// Environment variable access across Node, Bun and Deno.
+// Deno only reads variables the process already has permission for, so loading the
+// library never triggers a permission prompt or a PermissionDenied error.
+
+export const readEnv = (name) => {
+  if (typeof Deno !== 'undefined' && Deno.env) {
+    const status = Deno.permissions?.querySync?.({ name: 'env', variable: name });
+    if (status && status.state !== 'granted') return undefined;
+    try {
+      return Deno.env.get(name) || undefined;
+    } catch (_error) {
+      return undefined;
+    }
+  }
+  if (typeof process !== 'undefined' && process.env) {
+    return process.env[name] || undefined;
+  }
+  return undefined;
+};
+
+// Invalid values are ignored rather than thrown, since they are read while the library loads;
+// each distinct value is reported once
+const reportedValues = new Set();
+export const reportInvalidEnv = (name, value, error) => {
+  const key = `${name}=${value}`;
+  if (reportedValues.has(key)) return;
+  reportedValues.add(key);
+  if (typeof console !== 'undefined') {
+    console.warn(`Ignoring invalid ${name} "${value}": ${error.message}`);
+  }
+};
@@ -0,0 +1,50 @@
+// Evaluation budgets: every function argument is timed, and ones running longer than maxMs
+// are reported. With skipAfter, a callsite that went over budget that many times is no
+// longer evaluated; its functions are logged as a placeholder instead.
+
+export const skippedPlaceholder = '[Skipped slow log argument function]';
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Validate the evaluationBudget option; undefined when no budget is set
+export const parseEvaluationBudget = (budget) => {
+  if (budget === undefined) return undefined;
+  const { maxMs, skipAfter } = budget;
+  if (typeof maxMs !== 'number' || !(maxMs >= 0)) {
+    throw new TypeError('evaluationBudget.maxMs must be a non-negative number');
+  }
+  if (skipAfter !== undefined && !(Number.isInteger(skipAfter) && skipAfter > 0)) {
+    throw new TypeError('evaluationBudget.skipAfter must be a positive integer');
+  }
+  return { maxMs, skipAfter };
+};
+
+// Budget of one logger; onSlow receives { level, durationMs, callsite, skipping } for each slow function.
+// getCallsite looks up the callsite of the current log call, which is only done when needed.
+export const createEvaluationBudget = ({ maxMs, skipAfter }, onSlow) => {
+  // How often each callsite went over budget (only tracked when skipping is enabled)
+  const overBudget = new Map();
+  return {
+    shouldSkip: (getCallsite) => (
+      overBudget.size > 0 && (overBudget.get(getCallsite()) || 0) >= skipAfter
+    ),
+    time: (fn, level, getCallsite) => {
+      const start = now();
+      try {
+        return fn();
+      } finally {
+        const durationMs = now() - start;
+        if (durationMs > maxMs) {
+          const callsite = getCallsite();
+          let skipping = false;
+          if (skipAfter !== undefined && callsite !== undefined) {
+            const count = (overBudget.get(callsite) || 0) + 1;
+            overBudget.set(callsite, count);
+            skipping = count >= skipAfter;
+          }
+          onSlow({ level, durationMs, callsite, skipping });
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// Fields bound to loggers with log.with({ requestId, userId: () => user.id }).
+// Function values are lazy: they run only when an enabled call is written, at most once per call.
+// Promise values (and functions returning promises) make the fields a promise that the call
+// awaits like any other asynchronous argument.
+
+import { isThenable } from './async-args.js';
+
+export const isPlainObject = (value) => (
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype
+);
+
+// Values of bound fields for one call; resolve returns the value of one field
+export const resolveFields = (fields, resolve) => {
+  const names = Object.keys(fields);
+  const values = names.map(name => resolve(fields[name]));
+  const build = (resolved) => Object.fromEntries(names.map((name, index) => [name, resolved[index]]));
+  return values.some(isThenable) ? Promise.all(values).then(build) : build(values);
+};
+
+// Fields of the call itself (named template interpolations) win over bound ones
+export const mergeFields = (boundFields, callFields) => {
+  if (callFields === undefined) return boundFields;
+  if (isThenable(boundFields)) return boundFields.then(resolved => ({ ...resolved, ...callFields }));
+  return { ...boundFields, ...callFields };
+};
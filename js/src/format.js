@@ -0,0 +1,37 @@
+// Output formats: "text" passes the resolved arguments through unchanged,
+// "json" turns each call into a single JSON line for log collectors.
+
+export const formats = ['text', 'json'];
+
+// Errors serialize to {} by default, so keep their useful properties
+const toJsonValue = (value) => (
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value
+);
+
+// JSON.stringify replacer that marks repeated references instead of throwing on cycles
+const safeReplacer = () => {
+  const ancestors = [];
+  return function (_key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'object' || value === null) return value;
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+    if (ancestors.includes(value)) return '[Circular]';
+    ancestors.push(value);
+    return toJsonValue(value);
+  };
+};
+
+// Format the resolved arguments of one call as a JSON line: a leading string becomes "msg",
+// everything else goes to "args". With hasFields, the last argument holds fields of the call
+// (bound, context and named template fields), which become top-level keys of the line.
+// callTime is when the call was made (ms), so lines written after awaited arguments keep it.
+export const formatJson = (levelName, args, hasFields = false, callTime = Date.now()) => {
+  const time = new Date(callTime).toISOString();
+  const values = hasFields ? args.slice(0, -1) : args;
+  // The line's own keys win over fields of the same name
+  const record = Object.assign({ time, level: levelName }, hasFields ? args[args.length - 1] : {}, { time, level: levelName });
+  const rest = typeof values[0] === 'string' ? values.slice(1) : values;
+  if (typeof values[0] === 'string') record.msg = values[0];
+  if (rest.length > 0) record.args = rest.map(toJsonValue);
+  return JSON.stringify(record, safeReplacer());
+};
@@ -1,68 +1,113 @@
-// Static levels for external use
-export const levels = {
-  none: 0,      // 0b00000000 - No logging
-  fatal: 1,     // 0b00000001 - Fatal errors (Pino/Bunyan/Log4js)
-  error: 2,     // 0b00000010 - Errors
-  warn: 4,      // 0b00000100 - Warnings
-  info: 8,      // 0b00001000 - Info
-  debug: 16,    // 0b00010000 - Debug
-  verbose: 32,  // 0b00100000 - Verbose (Winston)
-  trace: 64,    // 0b01000000 - Trace (Pino/Bunyan/Log4js)
-  silly: 128,   // 0b10000000 - Silly (Winston)
-  all: 255,     // 0b11111111 - All levels
-  // Common presets
-  production: 7,  // 0b00000111 - fatal + error + warn
-  development: 31 // 0b00011111 - fatal + error + warn + info + debug
-};
+import { levels, levelNames, syslogLevels, levelModels, resolveLevel, getLevelOrDefault } from './levels.js';
+import { createContextStore } from './async-context.js';
+import { unrefTimer } from './timers.js';
+import { matchNamespace, registerNamespace } from './namespaces.js';
+import { createWeakRegistry } from './weak-registry.js';
+import { readEnv, reportInvalidEnv } from './env.js';
+import { formats, formatJson } from './format.js';
+import { defaultAsyncTimeoutMs, isThenable, settleArgument } from './async-args.js';
+import { defaultMaxDepth, resolveDeep } from './deep-resolve.js';
+import { isTemplateCall, renderTemplate } from './template.js';
+import { captureCallsite } from './callsite.js';
+import { parseEvaluationBudget, createEvaluationBudget, skippedPlaceholder } from './evaluation-budget.js';
+import { createRecord } from './record.js';
+import { isPlainObject, resolveFields, mergeFields } from './fields.js';
+import { getLogContext } from './log-context.js';
 
-// Static reverse map for efficient lookup of level names by value
-export const levelNames = {
-  0: 'none',
-  1: 'fatal',
-  2: 'error',
-  4: 'warn',
-  8: 'info',
-  16: 'debug',
-  32: 'verbose',
-  64: 'trace',
-  128: 'silly',
-  255: 'all',
-  // Common presets
-  31: 'development',
-  7: 'production',
+// Console method used by default for each built-in level (custom levels use console.log)
+const defaultConsoleMethods = {
+  fatal: 'error',
+  error: 'error',
+  warn: 'warn'
 };
 
-// Convert a level (string or number) to its numeric value with configurable default
-export const getLevelOrDefault = (level, levelsMap, defaultValue = 0) => {
-  if (typeof level === 'string') {
-    // First check if it's a named level
-    const value = levelsMap[level];
-    if (value !== undefined) return value;
-    
-    // Try parsing as numeric string
-    const parsed = parseInt(level);
-    return isNaN(parsed) ? defaultValue : parsed;
-  } else if (typeof level === 'number') {
-    return level;
-  }
-  return defaultValue;
-};
+// Names that custom levels cannot take because the log function already uses them
+const reservedNames = [
+  'none', 'all', 'production', 'development',
+  'level', 'levels', 'levelNames', 'shouldLog', 'enableLevel', 'disableLevel', 'getEnabledLevels',
+  'onLevelChange', 'withLevel', 'escalate', 'cancelEscalation', 'child', 'when', 'with',
+  'name', 'length', 'prototype', 'call', 'apply', 'bind'
+];
+
+// Ways to handle a function argument that throws (onEvaluationError can also be a callback)
+const evaluationErrorModes = ['placeholder', 'rethrow', 'report'];
+
+// Levels take bits 0..30 so that masks stay positive 32-bit integers
+const maxLevelCount = 31;
+
+// Options key through which log.child() hands its parent to the child logger
+const parentLink = Symbol('log-lazy parent');
+
+// Level method bound for every disabled level, so disabled calls do no work at all
+const disabledLevelMethod = () => undefined;
+Object.defineProperty(disabledLevelMethod, 'enabled', { value: false });
 
 // Main constructor function that returns a log object
 export const makeLog = (options = {}) => {
+  if (options.name !== undefined && typeof options.name !== 'string') {
+    throw new TypeError('Logger name must be a string');
+  }
+  
+  // Parent logger for loggers created with log.child()
+  const parent = options[parentLink];
+  
+  // Level model: the classic eight levels or the syslog severities
+  const model = options.model || 'classic';
+  if (!Object.prototype.hasOwnProperty.call(levelModels, model)) {
+    throw new TypeError(`Unknown level model "${model}". Valid models: ${Object.keys(levelModels).join(', ')}`);
+  }
+  const levelModel = levelModels[model];
+  
   // Create local levels object with static values
-  const logLevels = { ...levels };
+  const logLevels = { ...levelModel.levels };
   
   // Create local reverse map
-  const logLevelNames = { ...levelNames };
+  const logLevelNames = { ...levelModel.levelNames };
+  
+  // Single-bit levels of this logger ordered by severity (custom levels come last)
+  const levelOrder = [...levelModel.order];
+  
+  // Alternative names of the model's levels, e.g. "warning" for "warn" in the syslog model
+  const aliases = levelModel.aliases;
+  const isAlias = (name) => Object.prototype.hasOwnProperty.call(aliases, name);
+  
+  // Allocate the next free bits (256, 512, ...) for custom levels via options.levels
+  if (options.levels) {
+    let bit = 1 << levelOrder.length;
+    options.levels.forEach(levelName => {
+      if (typeof levelName !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(levelName)) {
+        throw new TypeError(`Invalid custom log level name: ${String(levelName)}`);
+      }
+      if (levelOrder.includes(levelName) || reservedNames.includes(levelName) || isAlias(levelName)) {
+        throw new Error(`Custom log level "${levelName}" conflicts with an existing name`);
+      }
+      if (levelOrder.length >= maxLevelCount) {
+        throw new RangeError(`Too many custom log levels: "${levelName}" does not fit into the level mask`);
+      }
+      logLevels[levelName] = bit;
+      logLevelNames[bit] = levelName;
+      levelOrder.push(levelName);
+      bit <<= 1;
+    });
+    
+    // Extend "all" to cover the custom levels
+    delete logLevelNames[logLevels.all];
+    logLevels.all = levelOrder.reduce((mask, name) => mask | logLevels[name], 0);
+    logLevelNames[logLevels.all] = 'all';
+  }
+  
+  // Aliases resolve to the same bit as the level they stand for
+  Object.keys(aliases).forEach(alias => {
+    logLevels[alias] = logLevels[aliases[alias]];
+  });
   
   // Common combinations (can be overridden via options.presets)
-  logLevels.production = options.presets?.production || (logLevels.fatal | logLevels.error | logLevels.warn);  // 7
-  logLevels.development = options.presets?.development || (logLevels.fatal | logLevels.error | logLevels.warn | logLevels.info | logLevels.debug);  // 31
+  logLevels.production = options.presets?.production || levelModel.levels.production;
+  logLevels.development = options.presets?.development || levelModel.levels.development;
   
-  // Add presets to reverse map
-  logLevelNames[logLevels.production] = 'production';
-  logLevelNames[logLevels.development] = 'development';
+  // Add overridden presets to reverse map (the model's own presets are already in it)
+  if (options.presets?.production) logLevelNames[logLevels.production] = 'production';
+  if (options.presets?.development) logLevelNames[logLevels.development] = 'development';
   
   // Allow custom presets via options
   if (options.presets) {
@@ -74,107 +119,552 @@ export const makeLog = (options = {}) => {
     });
   }
   
-  // Parse log level from options.level
-  let currentLevel = getLevelOrDefault(options.level, logLevels, logLevels.info);
+  // Describe an unknown level together with everything this logger accepts
+  const unknownLevelError = (level, unknownNames) => {
+    const presetNames = Object.keys(logLevels).filter(name => !levelOrder.includes(name) && !isAlias(name));
+    let problem = `Invalid log level: ${typeof level === 'string' ? `"${level}"` : String(level)}`;
+    if (unknownNames.length > 0) {
+      const quoted = unknownNames.map(name => `"${name}"`).join(', ');
+      problem = `Unknown log level ${quoted}${unknownNames[0] === level ? '' : ` in "${level}"`}`;
+    }
+    return new Error(`${problem}. Valid levels: ${levelOrder.join(', ')}. Valid presets: ${presetNames.join(', ')}`);
+  };
   
-  // Allow overriding console functions
-  const externalLog = {
-    fatal: options.log?.fatal || console.error,
-    error: options.log?.error || console.error,
-    warn: options.log?.warn || console.warn,
-    info: options.log?.info || console.log,
-    debug: options.log?.debug || console.log,
-    verbose: options.log?.verbose || console.log,
-    trace: options.log?.trace || console.log,
-    silly: options.log?.silly || console.log
+  // Convert a level to a mask; strict mode throws for unknown levels instead of using the default
+  const toMask = (level, defaultValue = 0) => {
+    if (!options.strict) return getLevelOrDefault(level, logLevels, defaultValue);
+    const unknownNames = [];
+    const value = resolveLevel(level, logLevels, name => unknownNames.push(name));
+    if (value === undefined) throw unknownLevelError(level, unknownNames);
+    return value;
   };
   
+  // Read LOG_LAZY_* environment variables unless disabled with env: false
+  const useEnv = options.env !== false;
+  
+  // Child loggers follow their parent's mask until their own level is set
+  let inheritsLevel = parent !== undefined && options.level === undefined;
+  
+  // Parse log level: options.level wins over the parent's level, LOG_LAZY_LEVEL and the info default.
+  // A malformed LOG_LAZY_LEVEL is reported and ignored (strict mode throws for it like for options.level).
+  let currentLevel = options.level !== undefined ? toMask(options.level, logLevels.info) : parent ? parent.level() : logLevels.info;
+  const envLevel = options.level === undefined && !parent && useEnv ? readEnv('LOG_LAZY_LEVEL') : undefined;
+  if (envLevel !== undefined) {
+    try {
+      currentLevel = toMask(envLevel, logLevels.info);
+    } catch (error) {
+      if (options.strict) throw error;
+      reportInvalidEnv('LOG_LAZY_LEVEL', envLevel, error);
+    }
+  }
+  
+  // Output format: options.format wins over LOG_LAZY_FORMAT (ignored when unknown), which wins over text
+  const unknownFormat = (value) => new TypeError(`Unknown log format "${value}". Valid formats: ${formats.join(', ')}`);
+  let format = options.format || 'text';
+  if (!formats.includes(format)) throw unknownFormat(format);
+  const envFormat = !options.format && useEnv ? readEnv('LOG_LAZY_FORMAT') : undefined;
+  if (envFormat !== undefined) {
+    if (formats.includes(envFormat)) format = envFormat;
+    else reportInvalidEnv('LOG_LAZY_FORMAT', envFormat, unknownFormat(envFormat));
+  }
+  
+  // How long promise arguments may take before a placeholder is logged instead
+  const asyncTimeoutMs = options.asyncTimeoutMs === undefined ? defaultAsyncTimeoutMs : options.asyncTimeoutMs;
+  if (typeof asyncTimeoutMs !== 'number' || !(asyncTimeoutMs > 0)) {
+    throw new TypeError('asyncTimeoutMs must be a positive number');
+  }
+  
+  // Nesting walked when resolving functions inside object arguments (undefined unless options.deep is set)
+  const deepMaxDepth = !options.deep ? undefined : options.deep.maxDepth === undefined ? defaultMaxDepth : options.deep.maxDepth;
+  if (deepMaxDepth !== undefined && !(Number.isInteger(deepMaxDepth) && deepMaxDepth > 0)) {
+    throw new TypeError('deep.maxDepth must be a positive integer');
+  }
+  
+  // Policy for function arguments that throw and promise arguments that reject
+  const onEvaluationError = options.onEvaluationError || 'placeholder';
+  if (typeof onEvaluationError !== 'function' && !evaluationErrorModes.includes(onEvaluationError)) {
+    throw new TypeError(
+      `Unknown onEvaluationError mode "${onEvaluationError}". Valid modes: ${evaluationErrorModes.join(', ')} or a function`
+    );
+  }
+  
+  // Listeners notified whenever the level mask changes
+  const levelListeners = new Set();
+  
+  // Names of the levels set in one mask but not in the other
+  const levelsOnlyIn = (mask, otherMask) => levelOrder.filter(
+    levelName => (mask & logLevels[levelName]) !== 0 && (otherMask & logLevels[levelName]) === 0
+  );
+  
+  // Active escalation: the bits it turned on and the timer that turns them off again
+  let escalation;
+  
+  // Level to return to once no namespace rule matches the logger anymore (undefined while none does)
+  let unmatchedLevel;
+  
+  // Child loggers following this logger's level; held weakly so short-lived children
+  // (e.g. one per request) can be collected
+  const children = createWeakRegistry();
+  
+  // Replace the level mask and tell children and listeners what changed and why.
+  // A throwing child or listener doesn't stop the others from being notified;
+  // the first error is rethrown afterwards.
+  const updateLevel = (nextLevel, reason) => {
+    const previous = currentLevel;
+    currentLevel = nextLevel;
+    // Rebind even for an unchanged mask: the logger may just have stopped inheriting its level
+    bindLevelMethods();
+    if (nextLevel === previous) return;
+    const errors = [];
+    const notify = (fn, argument) => {
+      try {
+        fn(argument);
+      } catch (error) {
+        errors.push(error);
+      }
+    };
+    children.forEach(followParent => notify(followParent, nextLevel));
+    if (levelListeners.size > 0) {
+      const change = {
+        previous,
+        current: nextLevel,
+        added: levelsOnlyIn(nextLevel, previous),
+        removed: levelsOnlyIn(previous, nextLevel),
+        reason
+      };
+      [...levelListeners].forEach(listener => notify(listener, change));
+    }
+    if (errors.length > 0) throw errors[0];
+  };
+  
+  // Level overrides scoped to async contexts by withLevel (store created on first use)
+  let levelScope;
+  
+  // Level set by withLevel for the current async context, on this logger or the parent it inherits from
+  const scopedLevel = () => {
+    const ownScopedLevel = levelScope === undefined ? undefined : levelScope.getStore();
+    if (ownScopedLevel !== undefined || !inheritsLevel) return ownScopedLevel;
+    return parent.scopedLevel();
+  };
+  
+  // Level mask in effect for the current async context
+  const activeLevel = () => {
+    const mask = scopedLevel();
+    return mask === undefined ? currentLevel : mask;
+  };
+  
+  // Allow overriding console functions; levels of other models fall back to the output of their classic level.
+  // A level can have several output functions, which all receive the same resolved arguments.
+  // With options.records, the output functions given in options.log receive one record per call
+  // instead (console defaults keep getting the arguments).
+  const externalLog = {};
+  const recordLevels = new Set();
+  levelOrder.forEach(levelName => {
+    const classicName = levelModel.classicNames[levelName] || levelName;
+    const customOutput = options.log?.[levelName] || options.log?.[classicName];
+    const output = customOutput || console[defaultConsoleMethods[classicName] || 'log'];
+    externalLog[levelName] = Array.isArray(output) ? output : [output];
+    if (options.records && customOutput) recordLevels.add(levelName);
+  });
+  
   // shouldLog function
   const shouldLog = (level) => {
-    if (currentLevel === 0) return false;
-    const levelFlag = getLevelOrDefault(level, logLevels);
-    return (currentLevel & levelFlag) !== 0;
+    const mask = activeLevel();
+    if (mask === 0) return false;
+    const levelFlag = typeof level === 'number' ? level : toMask(level);
+    return (mask & levelFlag) !== 0;
   };
   
-  // Core log function
-  const logMessage = (level, ...args) => {
-    if (!shouldLog(level)) {
-      return;
+  // Pass resolved arguments to the output function of a level. The call's time and whether its
+  // last argument holds fields are only needed for records and JSON lines.
+  const writeOutput = (level, processedArgs, { time, hasFields = false } = {}) => {
+    // Find the output function for this level
+    const levelName = typeof level === 'number' ? logLevelNames[level] : level;
+    
+    // Get the output functions for this level name
+    const outputFns = externalLog[levelName];
+    if (!outputFns) return;
+    if (recordLevels.has(levelName)) {
+      const record = createRecord({
+        level: logLevels[levelName],
+        levelName,
+        time: time === undefined ? Date.now() : time,
+        args: hasFields ? processedArgs.slice(0, -1) : processedArgs,
+        fields: hasFields ? processedArgs[processedArgs.length - 1] : undefined,
+        logger: options.name || ''
+      });
+      outputFns.forEach(outputFn => outputFn(record));
+    } else if (format === 'json') {
+      const line = formatJson(levelName, processedArgs, hasFields, time);
+      outputFns.forEach(outputFn => outputFn(line));
+    } else {
+      outputFns.forEach(outputFn => outputFn(...processedArgs));
     }
+  };
+  
+  // Calls waiting for promise arguments; later calls are written after them to keep the call order
+  let pendingWrites = 0;
+  let writeQueue = Promise.resolve();
+  
+  // Value logged in place of an argument whose function threw or whose promise rejected.
+  // The callsite is only looked up for the modes that use it.
+  const handleEvaluationError = (error, level, fromFunction, getCallsite) => {
+    if (onEvaluationError === 'rethrow') throw error;
+    const levelName = logLevelNames[level];
+    const site = onEvaluationError === 'placeholder' ? undefined : getCallsite();
+    if (typeof onEvaluationError === 'function') {
+      return onEvaluationError(error, { level: levelName, callsite: site });
+    }
+    const problem = fromFunction ? 'Error evaluating log argument function' : 'Error resolving log argument';
+    // Reports are written when the error happens, ahead of calls still waiting for their promises
+    if (onEvaluationError === 'report' && shouldLog(logLevels.error)) {
+      writeOutput(logLevels.error, [`${problem} in ${levelName} call${site ? ` at ${site}` : ''}`, error]);
+    }
+    return `[${problem}: ${error instanceof Error ? error.message : String(error)}]`;
+  };
+  
+  // Optional time budget for function arguments; slow ones are reported at warn level
+  const evaluationBudget = options.evaluationBudget && createEvaluationBudget(
+    parseEvaluationBudget(options.evaluationBudget),
+    ({ level, durationMs, callsite, skipping }) => {
+      if (!shouldLog(logLevels.warn)) return;
+      const levelName = logLevelNames[level];
+      const duration = Math.round(durationMs * 10) / 10;
+      writeOutput(logLevels.warn, [
+        `Slow log argument function in ${levelName} call${callsite ? ` at ${callsite}` : ''} took ${duration}ms ` +
+          `(budget ${options.evaluationBudget.maxMs}ms)${skipping ? '; skipping it from now on' : ''}`,
+        { level: levelName, durationMs: duration, callsite }
+      ], { hasFields: true });
+    }
+  );
+  
+  // Call a function argument, handling what it throws according to onEvaluationError
+  const evaluateArgument = (fn, level, getCallsite) => {
+    if (evaluationBudget && evaluationBudget.shouldSkip(getCallsite)) return skippedPlaceholder;
+    try {
+      return evaluationBudget ? evaluationBudget.time(fn, level, getCallsite) : fn();
+    } catch (error) {
+      return handleEvaluationError(error, level, true, getCallsite);
+    }
+  };
+  
+  // Fields of runWithLogContext only go to outputs with a place for them (records and JSON lines),
+  // so the arguments of positional outputs don't change inside a context
+  const usesContext = (level) => format === 'json' || recordLevels.has(logLevelNames[level]);
+  
+  // Resolve the arguments of a call known to be enabled and write them, followed by the fields of
+  // the log context and those bound with log.with() (if any) as one trailing object
+  const emit = (level, args, boundFields) => {
+    // Callsite of this call, looked up at most once and only when something reports it
+    let callsite;
+    const getCallsite = () => {
+      if (callsite === undefined) callsite = captureCallsite() || null;
+      return callsite || undefined;
+    };
     
-    // Process arguments: if any arg is a function, call it to get the value
-    const processedArgs = args.map(arg => {
-      if (typeof arg === 'function') {
-        try {
-          return arg();
-        } catch (error) {
-          return `[Error evaluating log argument function: ${error.message}]`;
-        }
-      }
-      return arg;
-    });
+    // Each function runs at most once per call, however often it is passed or nested
+    let results;
+    const evaluate = (fn) => {
+      if (results === undefined) results = new Map();
+      if (!results.has(fn)) results.set(fn, evaluateArgument(fn, level, getCallsite));
+      return results.get(fn);
+    };
     
-    // Find the output function for this level
-    const levelName = typeof level === 'number' ? logLevelNames[level] : level;
+    // With options.deep, functions nested in plain objects and arrays are called as well
+    const resolveNested = (value) => (deepMaxDepth === undefined ? value : resolveDeep(value, deepMaxDepth, evaluate));
     
-    // Get the output function for this level name
-    const outputFn = externalLog[levelName];
-    if (outputFn) {
-      outputFn(...processedArgs);
+    // Tagged template calls build their message (and fields of named interpolations) only now
+    const templateCall = isTemplateCall(args);
+    let callArgs = templateCall
+      ? renderTemplate(args, value => (typeof value === 'function' ? evaluate(value) : value))
+      : args;
+    const templateFields = templateCall ? callArgs[1] : undefined;
+    const contextFields = usesContext(level) ? getLogContext() : undefined;
+    const extraFields = contextFields === undefined ? boundFields : { ...contextFields, ...boundFields };
+    if (extraFields !== undefined) {
+      const fields = resolveFields(extraFields, value => (typeof value === 'function' ? evaluate(value) : value));
+      callArgs = [...(templateCall ? callArgs.slice(0, 1) : callArgs), mergeFields(fields, templateFields)];
     }
+    const call = {
+      time: recordLevels.size > 0 || format === 'json' ? Date.now() : undefined,
+      hasFields: extraFields !== undefined || templateFields !== undefined
+    };
+    
+    // Process arguments: if any arg is a function, call it to get the value
+    const processedArgs = callArgs.map(arg => (
+      typeof arg === 'function' && deepMaxDepth === undefined ? evaluate(arg) : resolveNested(arg)
+    ));
+    
+    // Write right away unless an argument is a promise or earlier calls are still waiting for theirs
+    if (pendingWrites === 0 && !processedArgs.some(isThenable)) {
+      writeOutput(level, processedArgs, call);
+      return;
+    }
+    
+    // Start resolving now, but write only after the calls queued before this one.
+    // Rejections settle later, so remember where the call came from for the modes reporting it.
+    if (onEvaluationError !== 'placeholder' && onEvaluationError !== 'rethrow') getCallsite();
+    const resolvedArgs = Promise.all(processedArgs.map((arg, index) => {
+      if (!isThenable(arg)) return arg;
+      const fromFunction = typeof callArgs[index] === 'function';
+      const onRejected = error => handleEvaluationError(error, level, fromFunction, getCallsite);
+      return settleArgument(arg, asyncTimeoutMs, onRejected).then(resolveNested);
+    }));
+    // The rejection is only picked up once earlier calls are written; it still reaches `written`
+    resolvedArgs.catch(() => {});
+    pendingWrites++;
+    const written = writeQueue
+      .then(() => resolvedArgs)
+      .then(resolved => writeOutput(level, resolved, call))
+      .finally(() => {
+        pendingWrites--;
+      });
+    writeQueue = written.catch(() => {});
+    return written;
   };
   
+  // Core log function
+  const logMessage = (level, args, boundFields) => (shouldLog(level) ? emit(level, args, boundFields) : undefined);
+  
   // Create the main log function that defaults to info level
-  const log = (...args) => logMessage(logLevels.info, ...args);
-  
-  // Add level methods as properties of the log function
-  log.fatal = (...args) => logMessage(logLevels.fatal, ...args);
-  log.error = (...args) => logMessage(logLevels.error, ...args);
-  log.warn = (...args) => logMessage(logLevels.warn, ...args);
-  log.info = (...args) => logMessage(logLevels.info, ...args);
-  log.debug = (...args) => logMessage(logLevels.debug, ...args);
-  log.verbose = (...args) => logMessage(logLevels.verbose, ...args);
-  log.trace = (...args) => logMessage(logLevels.trace, ...args);
-  log.silly = (...args) => logMessage(logLevels.silly, ...args);
+  const log = (...args) => logMessage(logLevels.info, args);
+  
+  // Level methods (built-in and custom) are rebound whenever the mask changes: disabled levels get
+  // the shared no-op and enabled ones write without checking the mask again. Loggers whose mask
+  // depends on the async context (withLevel here or on the parent they inherit from) use methods
+  // that check it on every call. log.debug.enabled and log.isDebugEnabled are always current.
+  const levelMethods = levelOrder.map(levelName => {
+    const levelFlag = logLevels[levelName];
+    const checking = (...args) => logMessage(levelFlag, args);
+    Object.defineProperty(checking, 'enabled', { get: () => (activeLevel() & levelFlag) !== 0 });
+    const enabled = (...args) => emit(levelFlag, args);
+    Object.defineProperty(enabled, 'enabled', { value: true });
+    return { levelName, levelFlag, checking, enabled };
+  });
+  const levelAliases = Object.keys(aliases);
+  const bindLevelMethods = () => {
+    const checksContext = levelScope !== undefined || inheritsLevel;
+    levelMethods.forEach(({ levelName, levelFlag, checking, enabled }) => {
+      if (checksContext) log[levelName] = checking;
+      else log[levelName] = (currentLevel & levelFlag) !== 0 ? enabled : disabledLevelMethod;
+    });
+    levelAliases.forEach(alias => {
+      log[alias] = log[aliases[alias]];
+    });
+  };
+  bindLevelMethods();
+  
+  const addEnabledGuards = (target) => {
+    [...levelOrder, ...levelAliases].forEach(levelName => {
+      const levelFlag = logLevels[levelName];
+      Object.defineProperty(target, `is${levelName[0].toUpperCase()}${levelName.slice(1)}Enabled`, {
+        get: () => (activeLevel() & levelFlag) !== 0
+      });
+    });
+  };
+  addEnabledGuards(log);
   
   // Add utility methods to the log object
   log.shouldLog = shouldLog;
+  log.when = (level, fn) => {
+    if (typeof fn !== 'function') {
+      throw new TypeError('when expects a function to run');
+    }
+    return shouldLog(level) ? fn() : undefined;
+  };
   log.enableLevel = (level) => {
-    const levelFlag = getLevelOrDefault(level, logLevels);
-    currentLevel |= levelFlag;
+    const levelFlag = toMask(level);
+    // Explicitly enabled levels stay enabled when an escalation ends
+    if (escalation) escalation.added &= ~levelFlag;
+    inheritsLevel = false;
+    updateLevel(currentLevel | levelFlag, 'enable');
   };
   log.disableLevel = (level) => {
-    const levelFlag = getLevelOrDefault(level, logLevels);
-    currentLevel &= ~levelFlag;
+    const levelFlag = toMask(level);
+    if (escalation) escalation.added &= ~levelFlag;
+    inheritsLevel = false;
+    updateLevel(currentLevel & ~levelFlag, 'disable');
   };
   log.getEnabledLevels = () => {
-    const enabled = [];
-    if (currentLevel & logLevels.fatal) enabled.push('fatal');
-    if (currentLevel & logLevels.error) enabled.push('error');
-    if (currentLevel & logLevels.warn) enabled.push('warn');
-    if (currentLevel & logLevels.info) enabled.push('info');
-    if (currentLevel & logLevels.debug) enabled.push('debug');
-    if (currentLevel & logLevels.verbose) enabled.push('verbose');
-    if (currentLevel & logLevels.trace) enabled.push('trace');
-    if (currentLevel & logLevels.silly) enabled.push('silly');
-    return enabled;
+    const mask = activeLevel();
+    return levelOrder.filter(levelName => (mask & logLevels[levelName]) !== 0);
+  };
+  log.onLevelChange = (listener) => {
+    if (typeof listener !== 'function') {
+      throw new TypeError('onLevelChange expects a listener function');
+    }
+    levelListeners.add(listener);
+    return () => {
+      levelListeners.delete(listener);
+    };
+  };
+  
+  log.withLevel = (level, fn) => {
+    if (typeof fn !== 'function') {
+      throw new TypeError('withLevel expects a function to run');
+    }
+    const scopedLevel = toMask(level, logLevels.info);
+    if (levelScope === undefined) {
+      levelScope = createContextStore();
+      bindLevelMethods();
+    }
+    return levelScope.run(scopedLevel, fn);
+  };
+  
+  // Stop the escalation timer and return the bits the escalation still owns
+  const endEscalation = () => {
+    if (!escalation) return 0;
+    clearTimeout(escalation.timer);
+    const added = escalation.added;
+    escalation = undefined;
+    return added;
+  };
+  log.escalate = (level, { durationMs } = {}) => {
+    if (typeof durationMs !== 'number' || !(durationMs > 0)) {
+      throw new TypeError('escalate expects a positive durationMs option');
+    }
+    const levelFlag = toMask(level);
+    const added = endEscalation() | (levelFlag & ~currentLevel);
+    escalation = {
+      added,
+      timer: unrefTimer(setTimeout(revertEscalation, durationMs))
+    };
+    updateLevel(currentLevel | levelFlag, 'escalate');
+  };
+  log.cancelEscalation = () => {
+    if (!escalation) return false;
+    const added = endEscalation();
+    updateLevel(currentLevel & ~added, 'revert');
+    return true;
+  };
+  // Timed revert; nothing could catch a listener's error there, so it is reported at error level
+  const revertEscalation = () => {
+    try {
+      log.cancelEscalation();
+    } catch (error) {
+      if (shouldLog(logLevels.error)) {
+        writeOutput(logLevels.error, ['Error in level change listener when the escalation ended', error]);
+      }
+    }
   };
   
   // Add level property getter/setter
   Object.defineProperty(log, 'level', {
     get: () => currentLevel,
     set: (value) => {
-      currentLevel = getLevelOrDefault(value, logLevels, logLevels.info);
+      const nextLevel = toMask(value, logLevels.info);
+      // Setting the level explicitly ends any escalation without reverting it
+      endEscalation();
+      inheritsLevel = false;
+      updateLevel(nextLevel, 'set');
     }
   });
   
+  // Create a child logger that shares this logger's options and follows its level until given its own
+  log.child = (name, childOptions = {}) => {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('child expects a non-empty logger name');
+    }
+    const { level: _parentLevel, ...inheritedOptions } = options;
+    return makeLog({
+      ...inheritedOptions,
+      ...childOptions,
+      name: options.name ? `${options.name}:${name}` : name,
+      [parentLink]: { level: () => currentLevel, scopedLevel, addChild: children.add }
+    });
+  };
+  
+  // Follow the parent's level changes while inheriting (escalations of the child stay in place)
+  if (parent) {
+    parent.addChild(log, (current) => {
+      if (inheritsLevel && unmatchedLevel === undefined) {
+        updateLevel(current | (escalation ? escalation.added : 0), 'inherit');
+      }
+    });
+  }
+  
   // Add levels and levelNames as properties
   log.levels = logLevels;
   log.levelNames = logLevelNames;
   
+  // Named loggers take their level from the process-wide namespace spec (see setNamespaces)
+  Object.defineProperty(log, 'name', { value: options.name || '', configurable: true });
+  if (options.name) {
+    registerNamespace(log, () => {
+      const level = matchNamespace(options.name, useEnv);
+      if (level !== undefined) {
+        if (unmatchedLevel === undefined) unmatchedLevel = currentLevel;
+        endEscalation();
+        updateLevel(toMask(level, logLevels.info), 'namespace');
+      } else if (unmatchedLevel !== undefined) {
+        const restoredLevel = inheritsLevel ? parent.level() : unmatchedLevel;
+        unmatchedLevel = undefined;
+        updateLevel(restoredLevel, 'namespace');
+      }
+    });
+  }
+  
+  // Loggers with bound fields are views of this logger: they share its mask, scopes and outputs,
+  // and their level methods check the mask on every call as they are never rebound
+  const sharedMembers = [
+    'shouldLog', 'when', 'enableLevel', 'disableLevel', 'getEnabledLevels', 'onLevelChange',
+    'withLevel', 'escalate', 'cancelEscalation', 'levels', 'levelNames'
+  ];
+  const checkFields = (fields) => {
+    if (!isPlainObject(fields)) {
+      throw new TypeError('with expects a plain object of fields');
+    }
+    return fields;
+  };
+  const bindFields = (boundFields) => {
+    const bound = (...args) => logMessage(logLevels.info, args, boundFields);
+    levelOrder.forEach(levelName => {
+      const levelFlag = logLevels[levelName];
+      const method = (...args) => logMessage(levelFlag, args, boundFields);
+      Object.defineProperty(method, 'enabled', { get: () => (activeLevel() & levelFlag) !== 0 });
+      bound[levelName] = method;
+    });
+    levelAliases.forEach(alias => {
+      bound[alias] = bound[aliases[alias]];
+    });
+    addEnabledGuards(bound);
+    sharedMembers.forEach(member => {
+      bound[member] = log[member];
+    });
+    Object.defineProperty(bound, 'level', {
+      get: () => log.level,
+      set: (value) => {
+        log.level = value;
+      }
+    });
+    Object.defineProperty(bound, 'name', { value: log.name, configurable: true });
+    bound.with = (fields) => bindFields({ ...boundFields, ...checkFields(fields) });
+    bound.child = (name, childOptions) => log.child(name, childOptions).with(boundFields);
+    return bound;
+  };
+  log.with = (fields) => bindFields({ ...checkFields(fields) });
+  
   return log;
 };
 
+// Static levels and level parsing
+export { levels, levelNames, syslogLevels, getLevelOrDefault };
+
+// Process-wide namespace spec for named loggers
+export { setNamespaces, getNamespaces } from './namespaces.js';
+
+// Level switching through process signals
+export { installSignalControl } from './signal-control.js';
+
+// Hot-reloaded level configuration files
+export { watchLevelConfig } from './level-config.js';
+
+// Memoized lazy values
+export { lazy } from './lazy.js';
+
+// Fields added to the calls of every logger inside an async scope
+export { runWithLogContext } from './log-context.js';
+
 // Default exports for convenience
 export const defaultLog = makeLog();
 export const log = defaultLog;
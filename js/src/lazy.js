@@ -0,0 +1,26 @@
+// Memoized lazy values: lazy(() => expensive()) runs the function at most once, however often
+// the value is read afterwards, whether by the logging pipeline, by several output functions,
+// or by formatters that stringify or serialize it. Errors are remembered and rethrown as well.
+
+export const lazy = (fn) => {
+  if (typeof fn !== 'function') {
+    throw new TypeError('lazy expects a function');
+  }
+  let state;
+  const read = () => {
+    if (state === undefined) {
+      try {
+        state = { value: fn() };
+      } catch (error) {
+        state = { error };
+      }
+    }
+    if ('error' in state) throw state.error;
+    return state.value;
+  };
+  // Outputs that receive the wrapper itself (e.g. nested in an object) still see the value
+  read.toString = () => String(read());
+  read.valueOf = read;
+  read.toJSON = read;
+  return read;
+};
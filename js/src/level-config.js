@@ -0,0 +1,104 @@
+// Level configuration read from a JSON file and re-applied whenever the file changes:
+//   { "level": "info", "loggers": { "app:db": "debug+", "app:http": "none" } }
+// "level" applies to every watched logger without an entry in "loggers", which is keyed by
+// logger name. Values are anything getLevelOrDefault accepts: names, numbers, thresholds and
+// expressions. A file that fails to parse is reported at error level and the last good
+// configuration stays in effect.
+
+import { getLevelOrDefault } from './levels.js';
+import { unrefTimer } from './timers.js';
+
+// node:fs and node:path are only loaded when a config file is watched, through
+// process.getBuiltinModule (Node 20.16+, the minimum in engines, Bun, Deno), so browser bundles
+// never reference them
+const loadBuiltin = (name) => {
+  try {
+    return globalThis.process?.getBuiltinModule?.(name);
+  } catch (_error) {
+    return undefined;
+  }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Resolve a configured level against a logger's levels, throwing for anything it can't use
+const toMask = (value, log, where) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new TypeError(`${where} must be a level name, expression or number`);
+  }
+  const mask = getLevelOrDefault(value, log.levels, null);
+  if (mask === null) {
+    throw new Error(`${where} has unknown log level "${value}"`);
+  }
+  return mask;
+};
+
+// Masks for each logger, or undefined for loggers the config leaves untouched
+const parseLevelConfig = (text, loggers) => {
+  const config = JSON.parse(text);
+  if (!isPlainObject(config)) {
+    throw new TypeError('Config must be a JSON object');
+  }
+  const overrides = config.loggers === undefined ? {} : config.loggers;
+  if (!isPlainObject(overrides)) {
+    throw new TypeError('"loggers" must be an object of logger names to levels');
+  }
+  return loggers.map(log => {
+    if (log.name !== undefined && Object.prototype.hasOwnProperty.call(overrides, log.name)) {
+      return toMask(overrides[log.name], log, `"loggers.${log.name}"`);
+    }
+    return config.level === undefined ? undefined : toMask(config.level, log, '"level"');
+  });
+};
+
+export const watchLevelConfig = (file, loggers, options = {}) => {
+  const fs = loadBuiltin('node:fs');
+  const path = loadBuiltin('node:path');
+  if (!fs || !path) {
+    throw new Error('Level config files need node:fs and node:path (Node.js 20.16 or later, Bun or Deno)');
+  }
+  const watched = Array.isArray(loggers) ? loggers : [loggers];
+  if (watched.length === 0) {
+    throw new TypeError('watchLevelConfig needs at least one logger');
+  }
+  const { debounceMs = 100 } = options;
+  const reporter = options.log || watched[0];
+  let lastGoodText;
+
+  const reload = () => {
+    let text;
+    let masks;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+      if (text === lastGoodText) return;
+      masks = parseLevelConfig(text, watched);
+    } catch (error) {
+      reporter.error(`Invalid log level config "${file}": ${error.message}; keeping the last good config`);
+      return;
+    }
+    lastGoodText = text;
+    watched.forEach((log, index) => {
+      if (masks[index] !== undefined && log.level !== masks[index]) log.level = masks[index];
+    });
+  };
+
+  // Editors often replace files instead of writing them in place, so watch the directory
+  const name = path.basename(file);
+  let timer;
+  const watcher = fs.watch(path.dirname(path.resolve(file)), (_event, changed) => {
+    if (changed !== null && changed !== undefined && String(changed) !== name) return;
+    clearTimeout(timer);
+    timer = unrefTimer(setTimeout(reload, debounceMs));
+  });
+  if (typeof watcher.unref === 'function') watcher.unref();
+
+  reload();
+
+  let watching = true;
+  return () => {
+    if (!watching) return;
+    watching = false;
+    clearTimeout(timer);
+    watcher.close();
+  };
+};
@@ -0,0 +1,171 @@
+// Level expression language used by string levels:
+//   "error|warn|debug"   union
+//   "all&~silly"         intersection and negation (complement within "all")
+//   "development,-debug" comma-separated list, "-" removes levels from what came before
+//                        (a list can't start with "-")
+//   "info+", ">=info"    info and more severe ("<=warn" is warn and less severe)
+//   "(error|warn)&~warn" parentheses group sub-expressions
+// Names can be any level or preset of the levels map, numbers are used as raw masks.
+
+// Single levels are the power-of-two entries of a levels map (presets combine several bits)
+export const isSingleLevel = (value) => typeof value === 'number' && value > 0 && (value & (value - 1)) === 0;
+
+// Characters that turn a level string into an expression instead of a plain name
+const expressionPattern = /[|&~,()<>+]|^\s*-\s*[A-Za-z_$(]/;
+
+// Tokens: threshold operators, names, numbers and single-character operators
+const tokenPattern = /(>=|<=|[<>])|([A-Za-z_$][\w$]*)|(\d+)|([|&~,()+-])/y;
+
+// Lower bits are more severe, so thresholds select levels by comparing bit values
+const thresholdComparators = {
+  '>=': (value, bit) => value <= bit,
+  '>': (value, bit) => value < bit,
+  '<=': (value, bit) => value >= bit,
+  '<': (value, bit) => value > bit
+};
+
+// Check whether a level string has to go through the expression parser
+export const isLevelExpression = (level) => expressionPattern.test(level);
+
+// Mask of all single levels in a levels map
+const allLevelsMask = (levelsMap) => (
+  typeof levelsMap.all === 'number'
+    ? levelsMap.all
+    : Object.values(levelsMap).filter(isSingleLevel).reduce((mask, value) => mask | value, 0)
+);
+
+// Mask of the levels selected by a threshold operator relative to a single level
+const thresholdMask = (operator, bit, levelsMap) => {
+  const includes = thresholdComparators[operator];
+  return Object.values(levelsMap)
+    .filter(isSingleLevel)
+    .reduce((mask, value) => (includes(value, bit) ? mask | value : mask), 0);
+};
+
+const tokenize = (expression) => {
+  const tokens = [];
+  let position = 0;
+  while (position < expression.length) {
+    if (/\s/.test(expression[position])) {
+      position++;
+      continue;
+    }
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(expression);
+    if (!match) {
+      throw new SyntaxError(
+        `Invalid log level expression "${expression}": unexpected "${expression[position]}" at position ${position}`
+      );
+    }
+    const [text, threshold, name, number, operator] = match;
+    const type = threshold ? 'threshold' : name ? 'name' : number ? 'number' : operator;
+    tokens.push({ type, value: text, position });
+    position += text.length;
+  }
+  return tokens;
+};
+
+// Parse a level expression into a mask.
+// Returns undefined when the expression references unknown names (reported through onUnknown),
+// and throws a SyntaxError when the expression is malformed.
+export const parseLevelExpression = (expression, levelsMap, onUnknown) => {
+  const tokens = tokenize(expression);
+  let index = 0;
+  let unknown = false;
+
+  const fail = (token, expected) => {
+    const found = token ? `"${token.value}" at position ${token.position}` : 'end of expression';
+    throw new SyntaxError(`Invalid log level expression "${expression}": expected ${expected} but found ${found}`);
+  };
+
+  const lookup = (token) => {
+    if (Object.prototype.hasOwnProperty.call(levelsMap, token.value)) {
+      return levelsMap[token.value];
+    }
+    unknown = true;
+    if (onUnknown) onUnknown(token.value);
+    return 0;
+  };
+
+  const parseThreshold = (operator, token) => {
+    if (!token || token.type !== 'name') fail(token, 'a level name');
+    const bit = lookup(token);
+    if (unknown) return 0;
+    if (!isSingleLevel(bit)) {
+      throw new SyntaxError(
+        `Invalid log level expression "${expression}": threshold "${operator}" needs a single level, but "${token.value}" is not one`
+      );
+    }
+    return thresholdMask(operator, bit, levelsMap);
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) fail(token, 'a level');
+    if (token.type === '(') {
+      const value = parseList();
+      if (tokens[index]?.type !== ')') fail(tokens[index], '")"');
+      index++;
+      return value;
+    }
+    if (token.type === 'threshold') return parseThreshold(token.value, tokens[index++]);
+    if (token.type === 'number') return parseInt(token.value, 10);
+    if (token.type === 'name') {
+      if (tokens[index]?.type !== '+') return lookup(token);
+      index++;
+      return parseThreshold('>=', token);
+    }
+    return fail(token, 'a level');
+  };
+
+  const parseUnary = () => {
+    if (tokens[index]?.type === '~') {
+      index++;
+      return allLevelsMask(levelsMap) & ~parseUnary();
+    }
+    return parsePrimary();
+  };
+
+  const parseIntersection = () => {
+    let value = parseUnary();
+    while (tokens[index]?.type === '&') {
+      index++;
+      value &= parseUnary();
+    }
+    return value;
+  };
+
+  const parseUnion = () => {
+    let value = parseIntersection();
+    while (tokens[index]?.type === '|') {
+      index++;
+      value |= parseIntersection();
+    }
+    return value;
+  };
+
+  const parseItem = (value) => {
+    if (tokens[index]?.type !== '-') return value | parseUnion();
+    index++;
+    return value & ~parseUnion();
+  };
+
+  // A list can't start with a removal: there would be nothing to remove from ("-debug" is 0)
+  const parseList = () => {
+    if (tokens[index]?.type === '-') {
+      throw new SyntaxError(
+        `Invalid log level expression "${expression}": "-" at position ${tokens[index].position} needs levels to remove from before it, e.g. "all,-debug"`
+      );
+    }
+    let value = parseItem(0);
+    while (tokens[index]?.type === ',') {
+      index++;
+      value = parseItem(value);
+    }
+    return value;
+  };
+
+  const value = parseList();
+  if (index < tokens.length) fail(tokens[index], 'an operator');
+  return unknown ? undefined : value;
+};
@@ -0,0 +1,126 @@
+// Built-in levels and conversion of level names, numbers and expressions to masks.
+
+import { isLevelExpression, parseLevelExpression } from './level-expression.js';
+
+// Static levels for external use
+export const levels = {
+  none: 0,      // 0b00000000 - No logging
+  fatal: 1,     // 0b00000001 - Fatal errors (Pino/Bunyan/Log4js)
+  error: 2,     // 0b00000010 - Errors
+  warn: 4,      // 0b00000100 - Warnings
+  info: 8,      // 0b00001000 - Info
+  debug: 16,    // 0b00010000 - Debug
+  verbose: 32,  // 0b00100000 - Verbose (Winston)
+  trace: 64,    // 0b01000000 - Trace (Pino/Bunyan/Log4js)
+  silly: 128,   // 0b10000000 - Silly (Winston)
+  all: 255,     // 0b11111111 - All levels
+  // Common presets
+  production: 7,  // 0b00000111 - fatal + error + warn
+  development: 31 // 0b00011111 - fatal + error + warn + info + debug
+};
+
+// Static reverse map for efficient lookup of level names by value
+export const levelNames = {
+  0: 'none',
+  1: 'fatal',
+  2: 'error',
+  4: 'warn',
+  8: 'info',
+  16: 'debug',
+  32: 'verbose',
+  64: 'trace',
+  128: 'silly',
+  255: 'all',
+  // Common presets
+  31: 'development',
+  7: 'production',
+};
+
+// Built-in single-bit levels ordered from most to least severe
+const builtinLevelOrder = ['fatal', 'error', 'warn', 'info', 'debug', 'verbose', 'trace', 'silly'];
+
+// Syslog severities (RFC 5424), from emergency (0) to debug (7)
+export const syslogLevels = {
+  none: 0,
+  emergency: 1,  // 0b00000001 - System is unusable
+  alert: 2,      // 0b00000010 - Action must be taken immediately
+  critical: 4,   // 0b00000100 - Critical conditions
+  error: 8,      // 0b00001000 - Error conditions
+  warn: 16,      // 0b00010000 - Warning conditions
+  notice: 32,    // 0b00100000 - Normal but significant conditions
+  info: 64,      // 0b01000000 - Informational messages
+  debug: 128,    // 0b10000000 - Debug-level messages
+  all: 255,
+  // Common presets
+  production: 31,  // 0b00011111 - emergency through warn
+  development: 255 // 0b11111111 - everything, debug included
+};
+
+const syslogLevelNames = {
+  0: 'none',
+  1: 'emergency',
+  2: 'alert',
+  4: 'critical',
+  8: 'error',
+  16: 'warn',
+  32: 'notice',
+  64: 'info',
+  128: 'debug',
+  255: 'all',
+  31: 'production'
+};
+
+// Level models selectable with makeLog({ model }). Besides its levels, a model has aliases
+// (alternative names for its levels) and the classic level each of its levels is written to
+// when the output has no function of its own for it, so existing adapters keep working.
+export const levelModels = {
+  classic: {
+    levels,
+    levelNames,
+    order: builtinLevelOrder,
+    aliases: {},
+    classicNames: {}
+  },
+  syslog: {
+    levels: syslogLevels,
+    levelNames: syslogLevelNames,
+    order: ['emergency', 'alert', 'critical', 'error', 'warn', 'notice', 'info', 'debug'],
+    aliases: {
+      emerg: 'emergency',
+      crit: 'critical',
+      err: 'error',
+      warning: 'warn',
+      informational: 'info'
+    },
+    classicNames: {
+      emergency: 'fatal',
+      alert: 'fatal',
+      critical: 'fatal',
+      notice: 'info'
+    }
+  }
+};
+
+// Resolve a level (string or number) to its numeric value, or undefined when it names unknown levels
+export const resolveLevel = (level, levelsMap, onUnknown) => {
+  if (typeof level === 'number') return level;
+  if (typeof level !== 'string') return undefined;
+  
+  // First check if it's a named level
+  if (Object.prototype.hasOwnProperty.call(levelsMap, level)) return levelsMap[level];
+  
+  // Then evaluate expressions like "error|warn", "all&~silly", "development,-debug" or "warn+"
+  if (isLevelExpression(level)) return parseLevelExpression(level, levelsMap, onUnknown);
+  
+  // Try parsing as numeric string
+  const parsed = parseInt(level);
+  if (!isNaN(parsed)) return parsed;
+  if (onUnknown) onUnknown(level);
+  return undefined;
+};
+
+// Convert a level (string or number) to its numeric value with configurable default
+export const getLevelOrDefault = (level, levelsMap, defaultValue = 0) => {
+  const value = resolveLevel(level, levelsMap);
+  return value === undefined ? defaultValue : value;
+};
@@ -0,0 +1,26 @@
+// Log context shared by every logger inside an async scope:
+//   runWithLogContext({ requestId }, () => handle(req))
+// Loggers merge the current context fields into each call they write, below fields bound with
+// log.with() and named template interpolations. Nested scopes add to the enclosing context.
+// Where the runtime has no AsyncLocalStorage (e.g. browsers), the context only covers code that
+// runs synchronously inside the scope.
+
+import { createContextStore } from './async-context.js';
+import { isPlainObject } from './fields.js';
+
+// Created on first use, so loggers only look up the context once a scope was ever started
+let contextStore;
+
+export const runWithLogContext = (fields, fn) => {
+  if (!isPlainObject(fields)) {
+    throw new TypeError('runWithLogContext expects a plain object of fields');
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError('runWithLogContext expects a function to run');
+  }
+  contextStore = contextStore || createContextStore();
+  return contextStore.run({ ...contextStore.getStore(), ...fields }, fn);
+};
+
+// Fields of the innermost scope around the current call (undefined outside any scope)
+export const getLogContext = () => (contextStore === undefined ? undefined : contextStore.getStore());
@@ -0,0 +1,85 @@
+// Process-wide namespace spec that decides the level of named loggers, similar to DEBUG patterns:
+//   "app:*=info,app:db=debug,-app:http"
+// Rules are separated by commas or whitespace. "pattern=level" applies a level string
+// (names, thresholds or expressions without commas), a bare "pattern" enables all levels and
+// "-pattern" disables them. "*" matches any sequence of characters. The last matching rule wins.
+// The initial spec comes from the LOG_LAZY_NAMESPACES environment variable.
+
+import { readEnv, reportInvalidEnv } from './env.js';
+import { createWeakRegistry } from './weak-registry.js';
+
+// Named loggers re-evaluated when the spec changes
+const registry = createWeakRegistry();
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a spec into rules of { pattern, matcher, level }
+export const parseNamespaces = (spec) => {
+  if (typeof spec !== 'string') {
+    throw new TypeError('Namespace spec must be a string');
+  }
+  return spec.split(/[\s,]+/).filter(Boolean).map(rule => {
+    const disabled = rule.startsWith('-');
+    const [pattern, level, ...rest] = (disabled ? rule.slice(1) : rule).split('=');
+    if (!pattern || rest.length > 0 || level === '' || (disabled && level !== undefined)) {
+      throw new SyntaxError(`Invalid namespace rule "${rule}" in "${spec}"`);
+    }
+    return {
+      pattern,
+      matcher: new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`),
+      level: disabled ? 'none' : level === undefined ? 'all' : level
+    };
+  });
+};
+
+// Spec from the environment; an invalid one is reported and replaced with the empty spec
+const readEnvSpec = () => {
+  const spec = readEnv('LOG_LAZY_NAMESPACES') || '';
+  try {
+    return { spec, rules: parseNamespaces(spec) };
+  } catch (error) {
+    reportInvalidEnv('LOG_LAZY_NAMESPACES', spec, error);
+    return { spec: '', rules: [] };
+  }
+};
+
+let { spec: currentSpec, rules: currentRules } = readEnvSpec();
+
+// Whether the current spec was read from the environment rather than set with setNamespaces
+let specFromEnv = currentSpec !== '';
+
+// Level string of the last rule matching a name (undefined when no rule matches).
+// Loggers created with env: false ignore a spec that came from the environment.
+export const matchNamespace = (name, useEnv = true) => {
+  if (specFromEnv && !useEnv) return undefined;
+  for (let index = currentRules.length - 1; index >= 0; index--) {
+    if (currentRules[index].matcher.test(name)) return currentRules[index].level;
+  }
+  return undefined;
+};
+
+// Register a named logger with the function that applies the spec to it
+export const registerNamespace = (log, apply) => {
+  apply();
+  registry.add(log, apply);
+};
+
+// Replace the process-wide spec and re-evaluate every named logger.
+// A logger rejecting its level (strict mode) doesn't stop the others from being updated;
+// the first such error is rethrown afterwards.
+export const setNamespaces = (spec = '') => {
+  currentRules = parseNamespaces(spec);
+  currentSpec = spec;
+  specFromEnv = false;
+  const errors = [];
+  registry.forEach(apply => {
+    try {
+      apply();
+    } catch (error) {
+      errors.push(error);
+    }
+  });
+  if (errors.length > 0) throw errors[0];
+};
+
+export const getNamespaces = () => currentSpec;
@@ -0,0 +1,18 @@
+// Log records for the opt-in record mode (records: true): instead of the resolved positional
+// arguments, output functions from options.log receive one object per call:
+//   { level, levelName, time, msg, args, fields, logger }
+// A leading string argument becomes msg and the remaining arguments go to args. Named template
+// interpolations (and other structured data the logger adds) are collected in fields.
+
+export const createRecord = ({ level, levelName, time, args, fields, logger }) => {
+  const hasMessage = typeof args[0] === 'string';
+  return {
+    level,
+    levelName,
+    time,
+    msg: hasMessage ? args[0] : '',
+    args: hasMessage ? args.slice(1) : args,
+    fields: fields || {},
+    logger
+  };
+};
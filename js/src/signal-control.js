@@ -0,0 +1,63 @@
+// Runtime level switching through process signals, e.g. `kill -USR2 <pid>` on a running server.
+// Each signal moves the logger to the next level of a cycle, wrapping around at the end.
+// Node and Bun use process.on, Deno uses Deno.addSignalListener.
+
+import { resolveLevel } from './levels.js';
+import { isSingleLevel } from './level-expression.js';
+
+const addSignalListener = (signal, handler) => {
+  if (typeof Deno !== 'undefined' && typeof Deno.addSignalListener === 'function') {
+    Deno.addSignalListener(signal, handler);
+    return () => Deno.removeSignalListener(signal, handler);
+  }
+  if (typeof process !== 'undefined' && typeof process.on === 'function') {
+    process.on(signal, handler);
+    return () => process.removeListener(signal, handler);
+  }
+  throw new Error('Signal control is not supported in this runtime');
+};
+
+export const installSignalControl = (log, options = {}) => {
+  const { signal = 'SIGUSR2', cycle = ['production', 'development', 'all'] } = options;
+  if (!Array.isArray(cycle) || cycle.length === 0) {
+    throw new TypeError('Signal control cycle must be a non-empty array of levels');
+  }
+  const masks = cycle.map(level => {
+    const mask = resolveLevel(level, log.levels);
+    if (mask === undefined) {
+      throw new Error(`Unknown log level "${level}" in signal control cycle`);
+    }
+    return mask;
+  });
+
+  // Cycle entry matching a mask, or the enabled level names when the mask isn't part of the cycle
+  const describe = (mask) => {
+    const index = masks.indexOf(mask);
+    if (index !== -1) return String(cycle[index]);
+    const names = Object.keys(log.levelNames)
+      .map(Number)
+      .filter(bit => isSingleLevel(bit) && (mask & bit) !== 0)
+      .map(bit => log.levelNames[bit]);
+    return names.length > 0 ? names.join('|') : 'none';
+  };
+
+  // The transition is written under whichever of the two masks enables warn, so switching to
+  // a level without warn (e.g. none or error) is still logged
+  const handler = () => {
+    const previous = log.level;
+    const next = (masks.indexOf(previous) + 1) % masks.length;
+    const message = `Log level changed from ${describe(previous)} to ${describe(masks[next])} (${signal})`;
+    const warnAfter = (masks[next] & log.levels.warn) !== 0;
+    if (!warnAfter) log.warn(message);
+    log.level = masks[next];
+    if (warnAfter) log.warn(message);
+  };
+
+  const removeListener = addSignalListener(signal, handler);
+  let installed = true;
+  return () => {
+    if (!installed) return;
+    installed = false;
+    removeListener();
+  };
+};
@@ -0,0 +1,143 @@
+// Minimal JavaScript/TypeScript tokenizer for the build-time stripping plugin.
+// It only needs to tell code apart from strings, comments, template literals and regular
+// expressions, so it produces names, punctuators and opaque literal tokens:
+//   { type: 'name' | 'punct' | 'string' | 'number' | 'regex' | 'template', value, start, end }
+// Template tokens are split at ${ } like in the spec: head (starts with `) and tail (ends with `).
+// A "}" closing a block (rather than an object literal) is marked with block: true.
+
+// Keywords after which "/" starts a regular expression instead of a division
+const keywordsBeforeExpression = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+const isNameStart = (ch) => /[A-Za-z_$#\u0080-\uffff]/.test(ch);
+const isNamePart = (ch) => /[\w$\u0080-\uffff]/.test(ch);
+
+// Punctuators ending an operand, after which "/" is a division: x) / 2, a[0] / 2, i++ / 2
+const operandEnds = new Set([')', ']', '}', '++', '--']);
+
+const regexAllowedAfter = (token) => {
+  if (!token) return true;
+  if (token.type === 'punct') return token.block === true || !operandEnds.has(token.value);
+  if (token.type === 'name') return keywordsBeforeExpression.has(token.value);
+  return false;
+};
+
+// Keywords after which "{" opens a block even though they start an expression otherwise
+const keywordsBeforeBlock = new Set(['else', 'do']);
+
+// Whether a "{" after token opens a block (or a class or function body) rather than an object
+const opensBlock = (token) => {
+  if (!token) return true;
+  if (token.type === 'punct') return [';', '{', '}', ')', '=>'].includes(token.value);
+  if (token.type === 'name') return keywordsBeforeBlock.has(token.value) || !keywordsBeforeExpression.has(token.value);
+  return false;
+};
+
+export const tokenize = (source) => {
+  const tokens = [];
+  // Open "{" of blocks ('block') and objects ('object') and "${" of template substitutions ('template')
+  const braces = [];
+  // Skip a hashbang line like "#!/usr/bin/env node"
+  let pos = source.startsWith('#!') ? source.indexOf('\n') : 0;
+  if (pos === -1) return tokens;
+
+  const push = (type, start, end, extra) => {
+    tokens.push({ type, value: source.slice(start, end), start, end, ...extra });
+    return end;
+  };
+
+  const fail = (what, start) => {
+    throw new SyntaxError(`Unterminated ${what} at position ${start}`);
+  };
+
+  // Read template characters from index until the closing ` or the next ${
+  const readTemplate = (start, index, head) => {
+    let i = index;
+    while (i < source.length) {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '`') {
+        return push('template', start, i + 1, { head, tail: true });
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        braces.push('template');
+        return push('template', start, i + 2, { head, tail: false });
+      } else {
+        i++;
+      }
+    }
+    return fail('template literal', start);
+  };
+
+  const readString = (start) => {
+    const quote = source[start];
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\n') fail('string', start);
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    if (i >= source.length) fail('string', start);
+    return push('string', start, i + 1);
+  };
+
+  const readRegex = (start) => {
+    let i = start + 1;
+    let inClass = false;
+    while (i < source.length && (inClass || source[i] !== '/')) {
+      if (source[i] === '\n') fail('regular expression', start);
+      if (source[i] === '\\') i++;
+      else if (source[i] === '[') inClass = true;
+      else if (source[i] === ']') inClass = false;
+      i++;
+    }
+    if (i >= source.length) fail('regular expression', start);
+    i++;
+    while (i < source.length && isNamePart(source[i])) i++;
+    return push('regex', start, i);
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+    if (/\s/.test(ch)) {
+      pos++;
+    } else if (ch === '/' && next === '/') {
+      const end = source.indexOf('\n', pos);
+      pos = end === -1 ? source.length : end;
+    } else if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', pos + 2);
+      if (end === -1) fail('comment', pos);
+      pos = end + 2;
+    } else if (ch === '\'' || ch === '"') {
+      pos = readString(pos);
+    } else if (ch === '`') {
+      pos = readTemplate(pos, pos + 1, true);
+    } else if (ch === '{') {
+      braces.push(opensBlock(tokens[tokens.length - 1]) ? 'block' : 'object');
+      pos = push('punct', pos, pos + 1);
+    } else if (ch === '}') {
+      const brace = braces.pop();
+      pos = brace === 'template'
+        ? readTemplate(pos, pos + 1, false)
+        : push('punct', pos, pos + 1, brace === 'block' ? { block: true } : undefined);
+    } else if (ch === '/' && regexAllowedAfter(tokens[tokens.length - 1])) {
+      pos = readRegex(pos);
+    } else if (isNameStart(ch)) {
+      let end = pos + 1;
+      while (end < source.length && isNamePart(source[end])) end++;
+      pos = push('name', pos, end);
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next))) {
+      let end = pos + 1;
+      while (end < source.length && /[\w.]/.test(source[end])) end++;
+      pos = push('number', pos, end);
+    } else if (ch === '?' && next === '.' && !/\d/.test(source[pos + 2])) {
+      pos = push('punct', pos, pos + 2);
+    } else if ((ch === '+' || ch === '-' || ch === '=') && next === (ch === '=' ? '>' : ch)) {
+      pos = push('punct', pos, pos + 2);
+    } else {
+      pos = push('punct', pos, pos + 1);
+    }
+  }
+  return tokens;
+};
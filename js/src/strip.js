@@ -0,0 +1,154 @@
+// Build-time stripping of log calls for levels that can never be enabled.
+// Given the most verbose mask a build will ever run with (e.g. "production"), calls such as
+// log.debug(() => ...) and log.trace`...` are replaced with `void 0` (or removed entirely
+// when they form a whole statement with Babel), so neither the call nor its thunks remain.
+// Loggers are recognized by the identifier names given in the loggers option, which is required
+// because common names like logger are just as often pino or winston instances. Only method calls
+// on them are stripped, never calls through other objects such as this.log.debug(...), and never
+// calls whose result is used further, like log.debug(async () => x).then(done).
+// The runtime entry doesn't re-export this module; build tooling imports it as log-lazy/strip.
+
+import { levelModels, resolveLevel } from './levels.js';
+import { tokenize } from './strip-scanner.js';
+
+// Methods (level names and aliases) whose level is outside the compile-time mask
+const resolveStripOptions = (options = {}) => {
+  const { level, model = 'classic', levels: customLevels = [], loggers } = options;
+  if (level === undefined) {
+    throw new TypeError('The log-lazy strip plugin needs the compile-time level option');
+  }
+  if (!Array.isArray(loggers) || loggers.length === 0) {
+    throw new TypeError('The log-lazy strip plugin needs the loggers option naming the log-lazy loggers to strip');
+  }
+  if (!Object.prototype.hasOwnProperty.call(levelModels, model)) {
+    throw new TypeError(`Unknown level model "${model}". Valid models: ${Object.keys(levelModels).join(', ')}`);
+  }
+  const levelModel = levelModels[model];
+  const levelsMap = { ...levelModel.levels };
+  const order = [...levelModel.order, ...customLevels];
+  // Custom levels take the next free bits like in makeLog
+  customLevels.forEach((levelName, index) => {
+    levelsMap[levelName] = 1 << (levelModel.order.length + index);
+  });
+  levelsMap.all = order.reduce((mask, levelName) => mask | levelsMap[levelName], 0);
+  Object.keys(levelModel.aliases).forEach(alias => {
+    levelsMap[alias] = levelsMap[levelModel.aliases[alias]];
+  });
+  const mask = resolveLevel(level, levelsMap);
+  if (mask === undefined) {
+    throw new Error(`Unknown log level "${level}" in the log-lazy strip plugin options`);
+  }
+  const methods = new Set([...order, ...Object.keys(levelModel.aliases)].filter(name => (levelsMap[name] & mask) === 0));
+  return { methods, loggers: new Set(loggers) };
+};
+
+// Index of the token closing the call or tagged template starting at index, or -1
+const findCallEnd = (tokens, index) => {
+  const opener = tokens[index];
+  if (opener.type === 'template') {
+    if (!opener.head) return -1;
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      if (tokens[i].type !== 'template') continue;
+      if (tokens[i].head && !tokens[i].tail) depth++;
+      if (tokens[i].tail && !tokens[i].head) depth--;
+      if (depth === 0) return i;
+    }
+    return -1;
+  }
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punct') continue;
+    if (tokens[i].value === '(') depth++;
+    if (tokens[i].value === ')' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+const lineAt = (source, position) => source.slice(0, position).split('\n').length;
+
+// Tokens after which a logger name is a property or a constructor rather than a logger call
+const isMemberOrNew = (token) => token !== undefined && (
+  (token.type === 'punct' && (token.value === '.' || token.value === '?.')) ||
+  (token.type === 'name' && token.value === 'new')
+);
+
+// Tokens that would use the call's result (log.debug(x).then(...)), which stays untouched
+const continuesExpression = (token) => token !== undefined && (
+  (token.type === 'punct' && ['.', '?.', '[', '('].includes(token.value)) ||
+  (token.type === 'template' && token.head)
+);
+
+// Strip disabled log calls from source text; returns the new code and what was stripped
+export const stripLogCalls = (source, options) => {
+  const { methods, loggers } = resolveStripOptions(options);
+  const tokens = tokenize(source);
+  const stripped = [];
+  let code = '';
+  let copied = 0;
+  for (let i = 0; i + 3 < tokens.length; i++) {
+    const [logger, dot, method, opener] = tokens.slice(i, i + 4);
+    if (logger.type !== 'name' || !loggers.has(logger.value) || isMemberOrNew(tokens[i - 1])) continue;
+    if (dot.type !== 'punct' || dot.value !== '.' || method.type !== 'name' || !methods.has(method.value)) continue;
+    if (!(opener.type === 'punct' && opener.value === '(') && opener.type !== 'template') continue;
+    const end = findCallEnd(tokens, i + 3);
+    if (end === -1 || continuesExpression(tokens[end + 1])) continue;
+    code += `${source.slice(copied, logger.start)}void 0`;
+    copied = tokens[end].end;
+    stripped.push({ logger: logger.value, method: method.value, line: lineAt(source, logger.start) });
+    i = end;
+  }
+  return { code: code + source.slice(copied), stripped };
+};
+
+// esbuild plugin (also works with Bun.build); files in node_modules are left alone
+export const esbuildStripPlugin = (options = {}) => {
+  resolveStripOptions(options);
+  const filter = options.filter || /\.[cm]?[jt]s$/;
+  return {
+    name: 'log-lazy-strip',
+    setup(build) {
+      build.onLoad({ filter }, async ({ path }) => {
+        if (/[\\/]node_modules[\\/]/.test(path)) return undefined;
+        const { readFile } = await import('node:fs/promises');
+        const source = await readFile(path, 'utf8');
+        return { contents: stripLogCalls(source, options).code, loader: /\.[cm]?ts$/.test(path) ? 'ts' : 'js' };
+      });
+    }
+  };
+};
+
+// Babel plugin: plugins: [[babelStripPlugin, { level: 'production' }]]
+export const babelStripPlugin = ({ types: t }, options = {}) => {
+  const { methods, loggers } = resolveStripOptions(options);
+  const isDisabledLogMethod = (callee) => (
+    t.isMemberExpression(callee) && !callee.computed &&
+    t.isIdentifier(callee.object) && loggers.has(callee.object.name) &&
+    t.isIdentifier(callee.property) && methods.has(callee.property.name)
+  );
+  // Parents that use the call's result, which stays untouched like in stripLogCalls
+  const consumesResult = ({ node, parent }) => (
+    ((t.isMemberExpression(parent) || t.isOptionalMemberExpression(parent)) && parent.object === node) ||
+    ((t.isCallExpression(parent) || t.isOptionalCallExpression(parent) || t.isNewExpression(parent)) && parent.callee === node) ||
+    (t.isTaggedTemplateExpression(parent) && parent.tag === node)
+  );
+  const strip = (path) => {
+    if (consumesResult(path)) return;
+    if (path.parentPath.isExpressionStatement()) {
+      path.parentPath.remove();
+    } else {
+      path.replaceWith(t.unaryExpression('void', t.numericLiteral(0)));
+    }
+  };
+  return {
+    name: 'log-lazy-strip',
+    visitor: {
+      CallExpression(path) {
+        if (isDisabledLogMethod(path.node.callee)) strip(path);
+      },
+      TaggedTemplateExpression(path) {
+        if (isDisabledLogMethod(path.node.tag)) strip(path);
+      }
+    }
+  };
+};
@@ -0,0 +1,43 @@
+// Tagged template calls: log.debug`User ${() => user.id} has ${() => items.length} items`.
+// Interpolated thunks run and the message is built only once the level is known to be enabled.
+// Interpolations written as ${{ userId: () => user.id }} are also handed to outputs as fields.
+
+// Template literal strings arrays carry the raw strings next to the cooked ones
+export const isTemplateCall = (args) => Array.isArray(args[0]) && Array.isArray(args[0].raw);
+
+// A plain object with a single key names its interpolation: ${{ userId }}
+const isNamedValue = (value) => {
+  if (typeof value !== 'object' || value === null || Object.getPrototypeOf(value) !== Object.prototype) return false;
+  return Object.keys(value).length === 1;
+};
+
+// Text of an interpolated value; objects and arrays are shown as JSON rather than [object Object]
+const stringify = (value) => {
+  if (typeof value === 'string') return value;
+  if (typeof value !== 'object' || value === null || value instanceof Error) return String(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (_error) {
+    return String(value);
+  }
+};
+
+// Turn the arguments of a template call into [message] or [message, fields];
+// resolve returns the value of one interpolation (calling it when it is a function)
+export const renderTemplate = ([strings, ...values], resolve) => {
+  let message = strings[0];
+  let fields;
+  values.forEach((value, index) => {
+    let resolved;
+    if (isNamedValue(value)) {
+      const [name] = Object.keys(value);
+      resolved = resolve(value[name]);
+      fields = fields || {};
+      fields[name] = resolved;
+    } else {
+      resolved = resolve(value);
+    }
+    message += stringify(resolved) + strings[index + 1];
+  });
+  return fields ? [message, fields] : [message];
+};
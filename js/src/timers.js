@@ -0,0 +1,11 @@
+// Timer helpers shared by features that schedule work in the background
+
+// Let the process exit while the timer is pending (Node/Bun timers expose unref, Deno uses ids)
+export const unrefTimer = (timer) => {
+  if (typeof timer === 'object' && timer !== null && typeof timer.unref === 'function') {
+    timer.unref();
+  } else if (typeof Deno !== 'undefined' && typeof Deno.unrefTimer === 'function') {
+    Deno.unrefTimer(timer);
+  }
+  return timer;
+};
@@ -0,0 +1,32 @@
+// Sets of loggers with a hook each, held weakly where the runtime allows it, so registering a
+// logger (as a named logger or as the child of another one) never keeps it alive
+
+const makeRef = typeof WeakRef === 'function' ? (target) => new WeakRef(target) : (target) => ({ deref: () => target });
+
+export const createWeakRegistry = () => {
+  const refs = new Set();
+  // The hook is held by a WeakMap entry, so it may reference its logger without keeping it alive
+  const hooks = new WeakMap();
+  // Drops the ref of each collected logger, so loggers that are never iterated don't pile up refs
+  const finalizers = typeof FinalizationRegistry === 'function' ? new FinalizationRegistry(ref => refs.delete(ref)) : undefined;
+  return {
+    add: (target, hook) => {
+      const ref = makeRef(target);
+      hooks.set(target, hook);
+      refs.add(ref);
+      if (finalizers) finalizers.register(target, ref);
+    },
+    // Call fn(hook) for every registered logger still alive, dropping the collected ones
+    forEach: (fn) => {
+      refs.forEach(ref => {
+        const target = ref.deref();
+        if (target === undefined) refs.delete(ref);
+        else fn(hooks.get(target));
+      });
+    },
+    // Number of registered loggers, including collected ones whose ref wasn't dropped yet
+    get size() {
+      return refs.size;
+    }
+  };
+};
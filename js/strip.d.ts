@@ -0,0 +1,57 @@
+/**
+ * log-lazy/strip - Build-time stripping of log calls for levels that can never be enabled
+ * @module log-lazy/strip
+ */
+
+/** Options for the build-time strip plugins */
+export interface StripOptions {
+  /** Most verbose level the build can ever run with; calls for levels outside it are stripped */
+  level: number | string;
+  /** Level model of the stripped loggers (defaults to 'classic') */
+  model?: 'classic' | 'syslog';
+  /** Custom level names in the order passed to makeLog */
+  levels?: string[];
+  /**
+   * Identifiers of the log-lazy loggers whose calls are stripped, e.g. ['log']. Calls are matched
+   * by name only, so don't list names that also hold other libraries' loggers.
+   */
+  loggers: string[];
+}
+
+/** Options for esbuildStripPlugin */
+export interface EsbuildStripOptions extends StripOptions {
+  /** Files the plugin transforms (defaults to JavaScript and TypeScript files) */
+  filter?: RegExp;
+}
+
+/** A log call removed by stripLogCalls */
+export interface StrippedLogCall {
+  logger: string;
+  method: string;
+  /** 1-based line of the call in the original source */
+  line: number;
+}
+
+/**
+ * Replace calls such as `log.debug(...)` and ``log.trace`...` `` with `void 0` when their level
+ * is outside the compile-time mask, so neither the call nor its thunks remain in the output.
+ * @throws {TypeError} When the level or loggers option is missing or the model is unknown
+ * @throws {Error} When the level is unknown
+ * @throws {SyntaxError} When the source has unterminated strings, comments or templates
+ */
+export declare function stripLogCalls(
+  source: string,
+  options: StripOptions
+): { code: string; stripped: StrippedLogCall[] };
+
+/** esbuild plugin (also accepted by Bun.build) that strips disabled log calls from loaded files */
+export declare function esbuildStripPlugin(options: EsbuildStripOptions): {
+  name: string;
+  setup(build: any): void;
+};
+
+/** Babel plugin that strips disabled log calls; use as `[babelStripPlugin, { level: 'info+', loggers: ['log'] }]` */
+export declare function babelStripPlugin(
+  babel: { types: any },
+  options: StripOptions
+): { name: string; visitor: Record<string, (path: any) => void> };
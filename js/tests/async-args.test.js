@@ -0,0 +1,138 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('Async lazy arguments', () => {
+  const makeLogger = (options = {}) => {
+    const info = mock(() => {});
+    const debug = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info, debug }, ...options });
+    return { log, info, debug };
+  };
+
+  test('awaits thunks returning promises and returns a promise', async () => {
+    const { log, debug } = makeLogger();
+
+    const result = log.debug('State:', async () => ({ ready: true }));
+    expect(result).toBeInstanceOf(Promise);
+    expect(debug).not.toHaveBeenCalled();
+
+    await result;
+    expect(debug).toHaveBeenCalledWith('State:', { ready: true });
+  });
+
+  test('awaits promise arguments', async () => {
+    const { log, info } = makeLogger();
+
+    await log.info('Count:', delay(5, 42));
+    expect(info).toHaveBeenCalledWith('Count:', 42);
+  });
+
+  test('keeps synchronous calls synchronous', () => {
+    const { log, info } = makeLogger();
+
+    expect(log.info('plain', () => 'lazy')).toBeUndefined();
+    expect(info).toHaveBeenCalledWith('plain', 'lazy');
+  });
+
+  test('does not evaluate or await anything when the level is disabled', () => {
+    const { log, debug } = makeLogger({ level: 'info' });
+    const thunk = mock(async () => 'state');
+
+    expect(log.debug(thunk)).toBeUndefined();
+    expect(thunk).not.toHaveBeenCalled();
+    expect(debug).not.toHaveBeenCalled();
+  });
+
+  test('preserves call order across async and sync calls', async () => {
+    const output = [];
+    const log = makeLog({ level: 'all', log: { info: (...args) => output.push(args.join(' ')) } });
+
+    log.info('first', () => delay(30, 'slow'));
+    log.info('second', delay(5, 'fast'));
+    const last = log.info('third');
+    expect(output).toEqual([]);
+
+    await last;
+    expect(output).toEqual(['first slow', 'second fast', 'third']);
+    log.info('fourth');
+    expect(output[3]).toBe('fourth');
+  });
+
+  test('orders calls per logger', async () => {
+    const output = [];
+    const write = (...args) => output.push(args.join(' '));
+    const slow = makeLog({ level: 'all', log: { info: write } });
+    const fast = makeLog({ level: 'all', log: { info: write } });
+
+    const pending = slow.info('slow', () => delay(20, 'done'));
+    fast.info('fast');
+    expect(output).toEqual(['fast']);
+
+    await pending;
+    expect(output).toEqual(['fast', 'slow done']);
+  });
+
+  test('logs placeholders for rejected promises', async () => {
+    const { log, info } = makeLogger();
+
+    await log.info(
+      async () => { throw new Error('fetch failed'); },
+      Promise.reject(new Error('lookup failed'))
+    );
+    expect(info).toHaveBeenCalledWith(
+      '[Error evaluating log argument function: fetch failed]',
+      '[Error resolving log argument: lookup failed]'
+    );
+  });
+
+  test('logs a placeholder when a promise does not settle in time', async () => {
+    const { log, info } = makeLogger({ asyncTimeoutMs: 20 });
+
+    await log.info('State:', () => new Promise(() => {}));
+    expect(info).toHaveBeenCalledWith('State:', '[Log argument timed out after 20ms]');
+  });
+
+  test('formats resolved arguments as JSON', async () => {
+    const { log, info } = makeLogger({ format: 'json' });
+
+    await log.info('Loaded', async () => ({ rows: 3 }));
+    const record = JSON.parse(info.mock.calls[0][0]);
+    expect(record.msg).toBe('Loaded');
+    expect(record.args).toEqual([{ rows: 3 }]);
+  });
+
+  test('uses the call time in JSON lines written after awaited arguments', async () => {
+    const { log, info } = makeLogger({ format: 'json' });
+    const before = Date.now();
+
+    await log.info('Loaded', () => delay(50, 'data'));
+    const line = JSON.parse(info.mock.calls[0][0]);
+    expect(line.args).toEqual(['data']);
+    expect(Date.parse(line.time) - before < 50).toBe(true);
+  });
+
+  test('rejects invalid timeouts', () => {
+    expect(() => makeLog({ asyncTimeoutMs: 0 })).toThrow('asyncTimeoutMs must be a positive number');
+    expect(() => makeLog({ asyncTimeoutMs: '100' })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,145 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Bound fields', () => {
+  test('appends bound fields as a trailing object for positional outputs', () => {
+    const info = mock();
+    const log = makeLog({ log: { info } });
+    const reqLog = log.with({ requestId: 'r-1', userId: 7 });
+
+    reqLog.info('Handled', 200);
+    reqLog('Default level');
+    expect(info.mock.calls).toEqual([
+      ['Handled', 200, { requestId: 'r-1', userId: 7 }],
+      ['Default level', { requestId: 'r-1', userId: 7 }]
+    ]);
+  });
+
+  test('passes bound fields to record outputs', () => {
+    const info = mock();
+    const log = makeLog({ records: true, name: 'api', log: { info } });
+
+    log.with({ requestId: 'r-2' }).info('Handled', 200);
+    const record = info.mock.calls[0][0];
+    expect(record.msg).toBe('Handled');
+    expect(record.args).toEqual([200]);
+    expect(record.fields).toEqual({ requestId: 'r-2' });
+    expect(record.logger).toBe('api');
+  });
+
+  test('merges nested bound fields and template fields', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+    const userLog = log.with({ requestId: 'r-3', step: 'auth' }).with({ step: 'load', userId: 9 });
+
+    userLog.info`Loaded ${{ items: () => 3 }} items`;
+    const record = info.mock.calls[0][0];
+    expect(record.msg).toBe('Loaded 3 items');
+    expect(record.fields).toEqual({ requestId: 'r-3', step: 'load', userId: 9, items: 3 });
+  });
+
+  test('evaluates field thunks only for enabled calls, once per call', () => {
+    const debug = mock();
+    const user = mock(() => 'ada');
+    const log = makeLog({ level: 'info', log: { debug } });
+    const reqLog = log.with({ user });
+
+    reqLog.debug('Skipped');
+    expect(user.mock.calls.length).toBe(0);
+
+    log.level = 'debug';
+    reqLog.debug('Written', user);
+    expect(user.mock.calls.length).toBe(1);
+    expect(debug.mock.calls[0]).toEqual(['Written', 'ada', { user: 'ada' }]);
+  });
+
+  test('awaits promise field values', async () => {
+    const info = mock();
+    const log = makeLog({ log: { info } });
+
+    await log.with({ tenant: () => Promise.resolve('acme') }).info('Async');
+    expect(info.mock.calls[0]).toEqual(['Async', { tenant: 'acme' }]);
+  });
+
+  test("shares the parent's mask, scopes and level changes", () => {
+    const debug = mock();
+    const log = makeLog({ level: 'info', log: { debug } });
+    const reqLog = log.with({ requestId: 'r-4' });
+
+    expect(reqLog.debug.enabled).toBe(false);
+    expect(reqLog.isDebugEnabled).toBe(false);
+    log.withLevel('debug', () => reqLog.debug('Scoped'));
+    expect(debug.mock.calls.length).toBe(1);
+
+    reqLog.level = 'debug';
+    expect(log.level).toBe(log.levels.debug);
+    expect(reqLog.debug.enabled).toBe(true);
+    log.disableLevel('debug');
+    expect(reqLog.shouldLog('debug')).toBe(false);
+  });
+
+  test('keeps the bound fields on child loggers', () => {
+    const info = mock();
+    const log = makeLog({ name: 'app', log: { info } });
+
+    const child = log.with({ requestId: 'r-5' }).child('db');
+    expect(child.name).toBe('app:db');
+    child.info('Query');
+    expect(info.mock.calls[0]).toEqual(['Query', { requestId: 'r-5' }]);
+  });
+
+  test('writes bound fields as top-level keys of JSON lines', () => {
+    const info = mock();
+    const log = makeLog({ format: 'json', log: { info } });
+
+    log.with({ id: 7, level: 'overridden' }).info('Handled', { status: 200 });
+    log.with({ id: 8 }).info`Loaded ${{ rows: () => 3 }} rows`;
+    const [first, second] = info.mock.calls.map(([line]) => JSON.parse(line));
+    expect(first.id).toBe(7);
+    expect(first.level).toBe('info');
+    expect(first.msg).toBe('Handled');
+    expect(first.args).toEqual([{ status: 200 }]);
+    expect(second.id).toBe(8);
+    expect(second.rows).toBe(3);
+    expect(second.args).toBeUndefined();
+  });
+
+  test('supports aliases and custom levels', () => {
+    const audit = mock();
+    const warn = mock();
+    const log = makeLog({ model: 'syslog', level: 'all', levels: ['audit'], log: { audit, warn } });
+    const bound = log.with({ actor: 'ops' });
+
+    bound.audit('Login');
+    bound.warning('Careful');
+    expect(audit.mock.calls[0]).toEqual(['Login', { actor: 'ops' }]);
+    expect(warn.mock.calls[0]).toEqual(['Careful', { actor: 'ops' }]);
+    expect(bound.isAuditEnabled).toBe(true);
+  });
+
+  test('rejects fields that are not a plain object', () => {
+    const log = makeLog();
+
+    expect(() => log.with('requestId')).toThrow(TypeError);
+    expect(() => log.with(null)).toThrow('with expects a plain object of fields');
+    expect(() => log.with({}).with([1])).toThrow(TypeError);
+  });
+});
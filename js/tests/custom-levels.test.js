@@ -0,0 +1,148 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn and jest.spyOn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+const spyOn = typeof Bun !== 'undefined' ? jest.spyOn : globalThis.spyOn;
+
+describe('Custom levels', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  test('should allocate bits after the built-in levels', () => {
+    const log = makeLog({ levels: ['audit', 'security', 'notice'] });
+    expect(log.levels.audit).toBe(256);
+    expect(log.levels.security).toBe(512);
+    expect(log.levels.notice).toBe(1024);
+    expect(log.levelNames[256]).toBe('audit');
+    expect(log.levelNames[1024]).toBe('notice');
+  });
+
+  test('should extend all to cover custom levels', () => {
+    const log = makeLog({ levels: ['audit', 'security'], level: 'all' });
+    expect(log.levels.all).toBe(1023);
+    expect(log.level).toBe(1023);
+    expect(log.levelNames[1023]).toBe('all');
+    expect(log.levelNames[255]).toBeUndefined();
+  });
+
+  test('should not change the static levels', () => {
+    makeLog({ levels: ['audit'] });
+    expect(levels.all).toBe(255);
+    expect(levels.audit).toBeUndefined();
+  });
+
+  test('should generate log methods for custom levels', () => {
+    const log = makeLog({ levels: ['audit'], level: 'audit' });
+    expect(typeof log.audit).toBe('function');
+
+    log.audit('User signed in');
+    log.info('not logged');
+    expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith('User signed in');
+  });
+
+  test('should evaluate custom level arguments lazily', () => {
+    const log = makeLog({ levels: ['audit'], level: 'info' });
+    const expensive = mock(() => 'details');
+
+    log.audit(expensive);
+    expect(expensive).not.toHaveBeenCalled();
+
+    log.enableLevel('audit');
+    log.audit(expensive);
+    expect(expensive).toHaveBeenCalledTimes(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith('details');
+  });
+
+  test('should use custom output functions for custom levels', () => {
+    const auditOutput = mock(() => {});
+    const log = makeLog({
+      levels: ['audit', 'security'],
+      level: 'all',
+      log: { audit: auditOutput }
+    });
+
+    log.audit('to audit sink');
+    log.security('to console');
+    expect(auditOutput).toHaveBeenCalledWith('to audit sink');
+    expect(consoleLogSpy).toHaveBeenCalledWith('to console');
+    expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should include custom levels in getEnabledLevels', () => {
+    const log = makeLog({ levels: ['audit', 'security'], level: levels.error | 512 });
+    expect(log.getEnabledLevels()).toEqual(['error', 'security']);
+
+    log.level = 'all';
+    expect(log.getEnabledLevels()).toEqual([
+      'fatal', 'error', 'warn', 'info', 'debug', 'verbose', 'trace', 'silly', 'audit', 'security'
+    ]);
+  });
+
+  test('should support custom levels in shouldLog, enableLevel and disableLevel', () => {
+    const log = makeLog({ levels: ['audit'], level: 'none' });
+    expect(log.shouldLog('audit')).toBe(false);
+
+    log.enableLevel('audit');
+    expect(log.shouldLog('audit')).toBe(true);
+    expect(log.level).toBe(256);
+
+    log.disableLevel('audit');
+    expect(log.shouldLog('audit')).toBe(false);
+  });
+
+  test('should keep custom levels independent between loggers', () => {
+    const auditLog = makeLog({ levels: ['audit'] });
+    const plainLog = makeLog();
+    expect(auditLog.audit).toBeDefined();
+    expect(plainLog.audit).toBeUndefined();
+    expect(plainLog.levels.all).toBe(255);
+  });
+
+  test('should reject names that conflict with existing levels or methods', () => {
+    expect(() => makeLog({ levels: ['debug'] })).toThrow('conflicts');
+    expect(() => makeLog({ levels: ['production'] })).toThrow('conflicts');
+    expect(() => makeLog({ levels: ['shouldLog'] })).toThrow('conflicts');
+    expect(() => makeLog({ levels: ['audit', 'audit'] })).toThrow('conflicts');
+  });
+
+  test('should reject invalid level names', () => {
+    expect(() => makeLog({ levels: ['not a name'] })).toThrow('Invalid custom log level name');
+    expect(() => makeLog({ levels: [42] })).toThrow('Invalid custom log level name');
+  });
+
+  test('should reject more custom levels than the mask can hold', () => {
+    const names = Array.from({ length: 23 }, (_, i) => `custom${i}`);
+    const log = makeLog({ levels: names, level: 'all' });
+    expect(log.levels.custom22).toBe(2 ** 30);
+    expect(log.levels.all).toBe(2 ** 31 - 1);
+
+    expect(() => makeLog({ levels: [...names, 'oneTooMany'] })).toThrow('Too many custom log levels');
+  });
+});
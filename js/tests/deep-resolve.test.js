@@ -0,0 +1,126 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Deep resolution of nested thunks', () => {
+  const makeLogger = (options = {}) => {
+    const info = mock(() => {});
+    const debug = mock(() => {});
+    const log = makeLog({ level: 'all', deep: true, log: { info, debug }, ...options });
+    return { log, info, debug };
+  };
+
+  test('leaves nested functions alone by default', () => {
+    const { log, info } = makeLogger({ deep: false });
+    const state = () => 'state';
+
+    log.info({ state });
+    expect(info.mock.calls[0][0].state).toBe(state);
+  });
+
+  test('resolves functions in objects returned by thunks', () => {
+    const { log, debug } = makeLogger();
+
+    log.debug('Fetching user:', () => ({
+      userId: 7,
+      systemState: () => ({ uptime: () => 42 }),
+      tags: [() => 'a', 'b']
+    }));
+    expect(debug).toHaveBeenCalledWith('Fetching user:', {
+      userId: 7,
+      systemState: { uptime: 42 },
+      tags: ['a', 'b']
+    });
+  });
+
+  test('resolves functions in object and array arguments without changing them', () => {
+    const { log, info } = makeLogger();
+    const context = { requestId: () => 'r-1' };
+
+    log.info(context, [() => 1, [() => 2]]);
+    expect(info).toHaveBeenCalledWith({ requestId: 'r-1' }, [1, [2]]);
+    expect(typeof context.requestId).toBe('function');
+  });
+
+  test('calls nested functions only when the level is enabled', () => {
+    const { log } = makeLogger({ level: 'info' });
+    const expensive = mock(() => 'state');
+
+    log.debug({ expensive });
+    expect(expensive).not.toHaveBeenCalled();
+  });
+
+  test('logs placeholders for nested functions that throw', () => {
+    const { log, info } = makeLogger();
+
+    log.info({ broken: () => { throw new Error('boom'); } });
+    expect(info).toHaveBeenCalledWith({ broken: '[Error evaluating log argument function: boom]' });
+  });
+
+  test('guards against cycles', () => {
+    const { log, info } = makeLogger();
+    const node = { name: 'root' };
+    node.self = node;
+    node.children = [() => node];
+    const shared = { id: 1 };
+
+    log.info(node, { first: shared, second: shared });
+    const [resolved, siblings] = info.mock.calls[0];
+    expect(resolved.self).toBe('[Circular]');
+    expect(resolved.children).toEqual(['[Circular]']);
+    expect(siblings).toEqual({ first: { id: 1 }, second: { id: 1 } });
+  });
+
+  test('stops at the maximum depth', () => {
+    const { log, info } = makeLogger({ deep: { maxDepth: 2 } });
+
+    log.info({ a: { b: { c: () => 'too deep' } } });
+    expect(info).toHaveBeenCalledWith({ a: { b: '[Max depth exceeded]' } });
+  });
+
+  test('leaves class instances untouched', () => {
+    const { log, info } = makeLogger();
+    class Connection {
+      constructor() {
+        this.query = () => 'not called';
+      }
+    }
+    const connection = new Connection();
+    const date = new Date(0);
+
+    log.info({ connection, date, map: new Map([['key', () => 'value']]) });
+    const [resolved] = info.mock.calls[0];
+    expect(resolved.connection).toBe(connection);
+    expect(resolved.date).toBe(date);
+    expect(typeof resolved.map.get('key')).toBe('function');
+  });
+
+  test('resolves objects returned by async thunks', async () => {
+    const { log, info } = makeLogger();
+
+    await log.info(async () => ({ rows: () => 3 }));
+    expect(info).toHaveBeenCalledWith({ rows: 3 });
+  });
+
+  test('rejects invalid depths', () => {
+    expect(() => makeLog({ deep: { maxDepth: 0 } })).toThrow('deep.maxDepth must be a positive integer');
+    expect(() => makeLog({ deep: { maxDepth: 1.5 } })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,256 @@
+/* eslint-env node */
+/* global describe, test, expect, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+import { readEnv } from '../src/env.js';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const envNames = ['LOG_LAZY_LEVEL', 'LOG_LAZY_FORMAT', 'LOG_LAZY_NAMESPACES'];
+const savedEnv = Object.fromEntries(envNames.map(name => [name, process.env[name]]));
+
+describe('Environment configuration', () => {
+  afterEach(() => {
+    envNames.forEach(name => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+  });
+
+  describe('LOG_LAZY_LEVEL', () => {
+    test('should set the level when options.level is not given', () => {
+      process.env.LOG_LAZY_LEVEL = 'debug';
+      expect(makeLog().level).toBe(levels.debug);
+    });
+
+    test('should accept thresholds and expressions', () => {
+      process.env.LOG_LAZY_LEVEL = 'warn+|trace';
+      expect(makeLog().level).toBe(levels.production | levels.trace);
+    });
+
+    test('should lose against an explicit options.level', () => {
+      process.env.LOG_LAZY_LEVEL = 'debug';
+      expect(makeLog({ level: 'error' }).level).toBe(levels.error);
+    });
+
+    test('should be ignored with env: false', () => {
+      process.env.LOG_LAZY_LEVEL = 'debug';
+      expect(makeLog({ env: false }).level).toBe(levels.info);
+    });
+
+    test('should be ignored when empty', () => {
+      process.env.LOG_LAZY_LEVEL = '';
+      expect(makeLog().level).toBe(levels.info);
+    });
+
+    test('should fall back to info for unknown names unless strict', () => {
+      process.env.LOG_LAZY_LEVEL = 'debgu';
+      expect(makeLog().level).toBe(levels.info);
+      expect(() => makeLog({ strict: true })).toThrow('Unknown log level "debgu"');
+    });
+
+    test('should configure the default logger', async () => {
+      process.env.LOG_LAZY_LEVEL = 'trace';
+      const module = await import('../src/index.js?env-default-log');
+      expect(module.defaultLog.level).toBe(levels.trace);
+      expect(module.log).toBe(module.defaultLog);
+    });
+  });
+
+  describe('LOG_LAZY_FORMAT', () => {
+    test('should format output as JSON lines', () => {
+      process.env.LOG_LAZY_FORMAT = 'json';
+      const output = mock(() => {});
+      const log = makeLog({ log: { info: output } });
+
+      log.info('User signed in', () => ({ id: 42 }));
+      const record = JSON.parse(output.mock.calls[0][0]);
+      expect(record.level).toBe('info');
+      expect(record.msg).toBe('User signed in');
+      expect(record.args).toEqual([{ id: 42 }]);
+      expect(typeof record.time).toBe('string');
+    });
+
+    test('should lose against an explicit options.format', () => {
+      process.env.LOG_LAZY_FORMAT = 'json';
+      const output = mock(() => {});
+      makeLog({ format: 'text', log: { info: output } }).info('plain', 1);
+      expect(output).toHaveBeenCalledWith('plain', 1);
+    });
+
+    test('should be ignored with env: false', () => {
+      process.env.LOG_LAZY_FORMAT = 'json';
+      const output = mock(() => {});
+      makeLog({ env: false, log: { info: output } }).info('plain');
+      expect(output).toHaveBeenCalledWith('plain');
+    });
+
+    test('should ignore unknown formats from the environment and reject them in options', () => {
+      process.env.LOG_LAZY_FORMAT = 'xml';
+      const output = mock(() => {});
+      makeLog({ log: { info: output } }).info('plain');
+      expect(output.mock.calls[0]).toEqual(['plain']);
+      expect(() => makeLog({ format: 'xml' })).toThrow('Unknown log format "xml". Valid formats: text, json');
+      expect(() => makeLog({ env: false, format: 'yaml' })).toThrow('Unknown log format "yaml"');
+    });
+  });
+
+  describe('JSON format', () => {
+    test('should keep non-string first arguments in args', () => {
+      const output = mock(() => {});
+      makeLog({ format: 'json', level: 'error', log: { error: output } }).error({ code: 1 }, 'text');
+      const record = JSON.parse(output.mock.calls[0][0]);
+      expect(record.msg).toBeUndefined();
+      expect(record.level).toBe('error');
+      expect(record.args).toEqual([{ code: 1 }, 'text']);
+    });
+
+    test('should serialize errors, bigints and circular references', () => {
+      const output = mock(() => {});
+      const circular = { name: 'loop' };
+      circular.self = circular;
+      makeLog({ format: 'json', log: { info: output } }).info('details', new Error('boom'), 10n, circular);
+      const record = JSON.parse(output.mock.calls[0][0]);
+      expect(record.args[0].message).toBe('boom');
+      expect(record.args[0].name).toBe('Error');
+      expect(record.args[1]).toBe('10');
+      expect(record.args[2]).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+
+    test('should keep repeated non-circular references', () => {
+      const output = mock(() => {});
+      const shared = { value: 1 };
+      makeLog({ format: 'json', log: { info: output } }).info('shared', { a: shared, b: shared });
+      const record = JSON.parse(output.mock.calls[0][0]);
+      expect(record.args[0]).toEqual({ a: { value: 1 }, b: { value: 1 } });
+    });
+  });
+
+  describe('Invalid values', () => {
+    const importFixture = fileURLToPath(new URL('./fixtures/import-with-env.js', import.meta.url));
+    
+    // Import the library in a fresh process with one variable set
+    const importWith = (name, value) => {
+      const env = { ...process.env };
+      envNames.forEach(envName => delete env[envName]);
+      env[name] = value;
+      const result = spawnSync(process.execPath, [importFixture], { env, encoding: 'utf8', timeout: 30000 });
+      expect(result.stderr).toBe('');
+      expect(result.status).toBe(0);
+      return JSON.parse(result.stdout);
+    };
+
+    test('should report a malformed LOG_LAZY_LEVEL once and use info', () => {
+      const result = importWith('LOG_LAZY_LEVEL', 'warn,');
+      expect(result.level).toBe(levels.info);
+      expect(result.lines).toEqual(['probe']);
+      expect(result.warnings.length).toBe(1);
+      expect(result.warnings[0].startsWith('Ignoring invalid LOG_LAZY_LEVEL "warn,"')).toBe(true);
+    });
+
+    test('should report a LOG_LAZY_LEVEL starting with a removal instead of turning logging off', () => {
+      const result = importWith('LOG_LAZY_LEVEL', '-debug');
+      expect(result.level).toBe(levels.info);
+      expect(result.lines).toEqual(['probe']);
+      expect(result.warnings.length).toBe(1);
+      expect(result.warnings[0].includes('needs levels to remove from before it, e.g. "all,-debug"')).toBe(true);
+    });
+
+    test('should report an unknown LOG_LAZY_FORMAT once and use text', () => {
+      const result = importWith('LOG_LAZY_FORMAT', 'xml');
+      expect(result.lines).toEqual(['probe']);
+      expect(result.warnings).toEqual(['Ignoring invalid LOG_LAZY_FORMAT "xml": Unknown log format "xml". Valid formats: text, json']);
+    });
+
+    test('should report a malformed LOG_LAZY_NAMESPACES once and use an empty spec', () => {
+      const result = importWith('LOG_LAZY_NAMESPACES', 'a=b=c');
+      expect(result.namespaces).toBe('');
+      expect(result.lines).toEqual(['probe']);
+      expect(result.warnings).toEqual(['Ignoring invalid LOG_LAZY_NAMESPACES "a=b=c": Invalid namespace rule "a=b=c" in "a=b=c"']);
+    });
+
+    test('should still throw for a malformed LOG_LAZY_LEVEL in strict mode', () => {
+      process.env.LOG_LAZY_LEVEL = 'warn,';
+      expect(() => makeLog({ strict: true })).toThrow(SyntaxError);
+    });
+  });
+
+  describe('LOG_LAZY_NAMESPACES', () => {
+    test('should provide the initial namespace spec', async () => {
+      process.env.LOG_LAZY_NAMESPACES = 'app:*=info,app:db=debug';
+      const namespaces = await import('../src/namespaces.js?env-spec');
+      expect(namespaces.getNamespaces()).toBe('app:*=info,app:db=debug');
+      expect(namespaces.matchNamespace('app:db')).toBe('debug');
+    });
+
+    test('should be ignored by loggers created with env: false until set explicitly', async () => {
+      process.env.LOG_LAZY_NAMESPACES = 'app:db=debug';
+      const namespaces = await import('../src/namespaces.js?env-opt-out');
+      expect(namespaces.matchNamespace('app:db', false)).toBeUndefined();
+
+      namespaces.setNamespaces('app:db=trace');
+      expect(namespaces.matchNamespace('app:db', false)).toBe('trace');
+    });
+  });
+
+  describe('readEnv', () => {
+    test('should read process.env in Node and Bun', () => {
+      process.env.LOG_LAZY_LEVEL = 'warn';
+      expect(readEnv('LOG_LAZY_LEVEL')).toBe('warn');
+      delete process.env.LOG_LAZY_LEVEL;
+      expect(readEnv('LOG_LAZY_LEVEL')).toBeUndefined();
+    });
+
+    test('should only read Deno variables that are already permitted', () => {
+      const hadDeno = 'Deno' in globalThis;
+      const originalDeno = globalThis.Deno;
+      const get = mock(() => 'debug');
+      const states = { LOG_LAZY_LEVEL: 'granted', LOG_LAZY_FORMAT: 'prompt' };
+      globalThis.Deno = {
+        env: { get },
+        permissions: { querySync: ({ variable }) => ({ state: states[variable] }) }
+      };
+      try {
+        expect(readEnv('LOG_LAZY_LEVEL')).toBe('debug');
+        expect(readEnv('LOG_LAZY_FORMAT')).toBeUndefined();
+        expect(get).toHaveBeenCalledTimes(1);
+      } finally {
+        if (hadDeno) globalThis.Deno = originalDeno;
+        else delete globalThis.Deno;
+      }
+    });
+
+    test('should treat Deno permission errors as unset variables', () => {
+      const hadDeno = 'Deno' in globalThis;
+      const originalDeno = globalThis.Deno;
+      globalThis.Deno = {
+        env: { get: () => { throw new Error('PermissionDenied'); } }
+      };
+      try {
+        expect(readEnv('LOG_LAZY_LEVEL')).toBeUndefined();
+      } finally {
+        if (hadDeno) globalThis.Deno = originalDeno;
+        else delete globalThis.Deno;
+      }
+    });
+  });
+});
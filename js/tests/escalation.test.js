@@ -0,0 +1,165 @@
+/* eslint-env node */
+/* global describe, test, expect, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Level escalation', () => {
+  let log;
+
+  afterEach(() => {
+    log.cancelEscalation();
+  });
+
+  test('should add levels to the mask for the given duration', async () => {
+    log = makeLog({ level: 'warn+' });
+    log.escalate('trace+', { durationMs: 20 });
+    expect(log.level).toBe(levels.all & ~levels.silly);
+    expect(log.shouldLog('trace')).toBe(true);
+
+    await wait(40);
+    expect(log.level).toBe(levels.production);
+    expect(log.shouldLog('trace')).toBe(false);
+  });
+
+  test('should emit a revert change when the escalation ends', async () => {
+    log = makeLog({ level: 'info' });
+    const changes = [];
+    log.onLevelChange(change => changes.push(change));
+
+    log.escalate('debug', { durationMs: 10 });
+    await wait(30);
+
+    expect(changes).toEqual([
+      { previous: 8, current: 24, added: ['debug'], removed: [], reason: 'escalate' },
+      { previous: 24, current: 8, added: [], removed: ['debug'], reason: 'revert' }
+    ]);
+  });
+
+  test('should revert immediately on cancelEscalation', () => {
+    log = makeLog({ level: 'info' });
+    const listener = mock(() => {});
+    log.escalate('all', { durationMs: 60000 });
+    log.onLevelChange(listener);
+
+    expect(log.cancelEscalation()).toBe(true);
+    expect(log.level).toBe(levels.info);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(log.cancelEscalation()).toBe(false);
+  });
+
+  test('should not remove levels that were enabled before the escalation', async () => {
+    log = makeLog({ level: 'info|debug' });
+    log.escalate('debug|trace', { durationMs: 10 });
+    await wait(30);
+    expect(log.getEnabledLevels()).toEqual(['info', 'debug']);
+  });
+
+  test('should keep levels enabled explicitly during the escalation', async () => {
+    log = makeLog({ level: 'info' });
+    log.escalate('debug|trace', { durationMs: 10 });
+    log.enableLevel('trace');
+    await wait(30);
+    expect(log.getEnabledLevels()).toEqual(['info', 'trace']);
+  });
+
+  test('should not re-enable levels disabled during the escalation', async () => {
+    log = makeLog({ level: 'info' });
+    log.escalate('debug', { durationMs: 10 });
+    log.disableLevel('info');
+    await wait(30);
+    expect(log.getEnabledLevels()).toEqual([]);
+  });
+
+  test('should end the escalation without reverting when the level is set', async () => {
+    log = makeLog({ level: 'info' });
+    const changes = [];
+    log.escalate('debug', { durationMs: 10 });
+    log.level = 'error|debug';
+    log.onLevelChange(change => changes.push(change));
+    await wait(30);
+    expect(log.getEnabledLevels()).toEqual(['error', 'debug']);
+    expect(changes).toEqual([]);
+  });
+
+  test('should merge repeated escalations and restart the timer', async () => {
+    log = makeLog({ level: 'info' });
+    log.escalate('debug', { durationMs: 15 });
+    log.escalate('trace', { durationMs: 50 });
+    await wait(30);
+    expect(log.getEnabledLevels()).toEqual(['info', 'debug', 'trace']);
+    await wait(50);
+    expect(log.getEnabledLevels()).toEqual(['info']);
+  });
+
+  test('should unref the revert timer', () => {
+    log = makeLog();
+    const originalSetTimeout = globalThis.setTimeout;
+    let unrefCalled = false;
+    globalThis.setTimeout = (fn, ms) => {
+      const timer = originalSetTimeout(fn, ms);
+      const originalUnref = timer.unref.bind(timer);
+      timer.unref = () => {
+        unrefCalled = true;
+        return originalUnref();
+      };
+      return timer;
+    };
+    try {
+      log.escalate('debug', { durationMs: 60000 });
+    } finally {
+      globalThis.setTimeout = originalSetTimeout;
+    }
+    expect(unrefCalled).toBe(true);
+  });
+
+  test('should report listener errors of the timed revert at error level', async () => {
+    const error = mock();
+    log = makeLog({ level: 'error|info', log: { error, info: mock() } });
+    const listener = mock(() => {});
+    log.onLevelChange(change => {
+      if (change.reason === 'revert') throw new Error('listener failed');
+    });
+    log.onLevelChange(listener);
+
+    log.escalate('debug', { durationMs: 10 });
+    await wait(30);
+    expect(log.level).toBe(levels.error | levels.info);
+    expect(listener.mock.calls.length).toBe(2);
+    expect(error.mock.calls.length).toBe(1);
+    expect(error.mock.calls[0][0]).toBe('Error in level change listener when the escalation ended');
+    expect(error.mock.calls[0][1].message).toBe('listener failed');
+  });
+
+  test('should require a positive duration', () => {
+    log = makeLog();
+    expect(() => log.escalate('debug')).toThrow('escalate expects a positive durationMs option');
+    expect(() => log.escalate('debug', { durationMs: 0 })).toThrow('positive durationMs');
+    expect(log.shouldLog('debug')).toBe(false);
+  });
+
+  test('should reject unknown levels in strict mode', () => {
+    log = makeLog({ strict: true });
+    expect(() => log.escalate('debgu', { durationMs: 10 })).toThrow('Unknown log level "debgu"');
+  });
+});
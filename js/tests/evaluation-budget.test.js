@@ -0,0 +1,119 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const thisFile = new URL(import.meta.url).pathname.split('/').pop();
+
+// Block the thread like an expensive JSON.stringify would
+const busyWait = (ms) => {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // spin
+  }
+};
+
+describe('Evaluation budgets', () => {
+  const makeLogger = (evaluationBudget, options = {}) => {
+    const warn = mock(() => {});
+    const debug = mock(() => {});
+    const log = makeLog({ level: 'all', evaluationBudget, log: { warn, debug }, ...options });
+    return { log, warn, debug };
+  };
+
+  const slow = () => {
+    busyWait(10);
+    return 'slow';
+  };
+
+  test('reports slow functions at warn level with level, duration and callsite', () => {
+    const { log, warn, debug } = makeLogger({ maxMs: 2 });
+
+    log.debug('State:', slow);
+    expect(debug).toHaveBeenCalledWith('State:', 'slow');
+    expect(warn.mock.calls.length).toBe(1);
+    const [message, details] = warn.mock.calls[0];
+    expect(message).toContain('Slow log argument function in debug call at ');
+    expect(message).toContain(thisFile);
+    expect(message).toContain('(budget 2ms)');
+    expect(details.level).toBe('debug');
+    expect(details.durationMs >= 9).toBe(true);
+    expect(details.callsite).toContain(thisFile);
+  });
+
+  test('does not report functions within budget', () => {
+    const { log, warn } = makeLogger({ maxMs: 1000 });
+
+    log.debug(() => 'fast');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('does not report when warn is disabled', () => {
+    const { log, warn, debug } = makeLogger({ maxMs: 2 }, { level: 'debug' });
+
+    log.debug(slow);
+    expect(debug).toHaveBeenCalledWith('slow');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('keeps evaluating slow callsites without skipAfter', () => {
+    const { log, debug } = makeLogger({ maxMs: 2 });
+
+    for (let i = 0; i < 3; i++) log.debug(slow);
+    expect(debug.mock.calls.map(call => call[0])).toEqual(['slow', 'slow', 'slow']);
+  });
+
+  test('skips a callsite after it repeatedly went over budget', () => {
+    const { log, warn, debug } = makeLogger({ maxMs: 2, skipAfter: 2 });
+    const thunk = mock(slow);
+
+    for (let i = 0; i < 4; i++) log.debug(thunk);
+    log.debug(() => 'other callsite');
+
+    expect(thunk.mock.calls.length).toBe(2);
+    expect(debug.mock.calls.map(call => call[0])).toEqual([
+      'slow', 'slow', '[Skipped slow log argument function]', '[Skipped slow log argument function]', 'other callsite'
+    ]);
+    expect(warn.mock.calls.length).toBe(2);
+    expect(warn.mock.calls[1][0]).toContain('skipping it from now on');
+  });
+
+  test('keeps budgets per logger', () => {
+    const first = makeLogger({ maxMs: 2, skipAfter: 1 });
+    const second = makeLogger({ maxMs: 2, skipAfter: 1 });
+    const logBoth = () => {
+      first.log.debug(slow);
+      second.log.debug(slow);
+    };
+
+    logBoth();
+    first.log.debug(slow);
+    expect(first.debug.mock.calls[1][0]).toBe('slow');
+    logBoth();
+    expect(first.debug.mock.calls[2][0]).toBe('[Skipped slow log argument function]');
+    expect(second.debug.mock.calls[1][0]).toBe('[Skipped slow log argument function]');
+  });
+
+  test('rejects invalid budgets', () => {
+    expect(() => makeLog({ evaluationBudget: {} })).toThrow('evaluationBudget.maxMs must be a non-negative number');
+    expect(() => makeLog({ evaluationBudget: { maxMs: 5, skipAfter: 0 } })).toThrow(
+      'evaluationBudget.skipAfter must be a positive integer'
+    );
+  });
+});
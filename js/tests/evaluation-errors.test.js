@@ -0,0 +1,153 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const thisFile = new URL(import.meta.url).pathname.split('/').pop();
+
+describe('onEvaluationError', () => {
+  const failing = () => {
+    throw new Error('boom');
+  };
+
+  const makeLogger = (options = {}) => {
+    const error = mock(() => {});
+    const debug = mock(() => {});
+    const log = makeLog({ level: 'all', log: { error, debug }, ...options });
+    return { log, error, debug };
+  };
+
+  test('logs a placeholder by default', () => {
+    const { log, debug, error } = makeLogger();
+
+    log.debug('State:', failing);
+    expect(debug).toHaveBeenCalledWith('State:', '[Error evaluating log argument function: boom]');
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('placeholder mode describes thrown non-errors', () => {
+    const { log, debug } = makeLogger({ onEvaluationError: 'placeholder' });
+
+    log.debug(() => {
+      throw 'plain string';
+    });
+    expect(debug).toHaveBeenCalledWith('[Error evaluating log argument function: plain string]');
+  });
+
+  test('rethrow mode throws from the log call without writing', () => {
+    const { log, debug } = makeLogger({ onEvaluationError: 'rethrow' });
+
+    expect(() => log.debug('State:', failing)).toThrow('boom');
+    expect(debug).not.toHaveBeenCalled();
+  });
+
+  test('rethrow mode rejects the promise of async calls', async () => {
+    const { log, debug } = makeLogger({ onEvaluationError: 'rethrow' });
+
+    let rejection;
+    await log.debug('State:', async () => failing()).catch(error => {
+      rejection = error;
+    });
+    expect(rejection.message).toBe('boom');
+    expect(debug).not.toHaveBeenCalled();
+
+    await log.debug('next');
+    expect(debug).toHaveBeenCalledWith('next');
+  });
+
+  test('rethrow mode rejects queued calls without an unhandled rejection', async () => {
+    const { log, debug } = makeLogger({ onEvaluationError: 'rethrow' });
+    const unhandled = mock(() => {});
+    process.on('unhandledRejection', unhandled);
+    try {
+      const slow = log.debug('slow', new Promise(resolve => setTimeout(() => resolve('done'), 20)));
+      const failed = log.debug('failed', Promise.reject(new Error('rejected')));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await slow;
+      let rejection;
+      await failed.catch(error => {
+        rejection = error;
+      });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(rejection.message).toBe('rejected');
+      expect(unhandled.mock.calls.length).toBe(0);
+      expect(debug).toHaveBeenCalledWith('slow', 'done');
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+  });
+
+  test('report mode adds an error record with the error, level and callsite', () => {
+    const { log, debug, error } = makeLogger({ onEvaluationError: 'report' });
+
+    log.debug('State:', failing);
+    expect(debug).toHaveBeenCalledWith('State:', '[Error evaluating log argument function: boom]');
+    expect(error.mock.calls.length).toBe(1);
+    const [message, reported] = error.mock.calls[0];
+    expect(message).toContain('Error evaluating log argument function in debug call at ');
+    expect(message).toContain(thisFile);
+    expect(reported).toBeInstanceOf(Error);
+    expect(reported.stack).toContain('boom');
+  });
+
+  test('report mode reports rejected promises', async () => {
+    const { log, debug, error } = makeLogger({ onEvaluationError: 'report' });
+
+    await log.debug('Lookup:', Promise.reject(new Error('lookup failed')));
+    expect(debug).toHaveBeenCalledWith('Lookup:', '[Error resolving log argument: lookup failed]');
+    expect(error.mock.calls[0][0]).toContain('Error resolving log argument in debug call at ');
+    expect(error.mock.calls[0][0]).toContain(thisFile);
+  });
+
+  test('report mode respects the error level', () => {
+    const { log, debug, error } = makeLogger({ level: 'debug', onEvaluationError: 'report' });
+
+    log.debug(failing);
+    expect(debug).toHaveBeenCalledWith('[Error evaluating log argument function: boom]');
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('a callback receives the error with level and callsite and supplies the value', () => {
+    const handler = mock(() => '<unavailable>');
+    const { log, debug } = makeLogger({ onEvaluationError: handler });
+
+    log.debug('State:', failing);
+    expect(debug).toHaveBeenCalledWith('State:', '<unavailable>');
+    const [error, info] = handler.mock.calls[0];
+    expect(error.message).toBe('boom');
+    expect(info.level).toBe('debug');
+    expect(info.callsite).toContain(thisFile);
+  });
+
+  test('applies to template interpolations and nested thunks', () => {
+    const handler = mock(() => '?');
+    const { log, debug } = makeLogger({ deep: true, onEvaluationError: handler });
+
+    log.debug`Value ${failing}`;
+    log.debug({ nested: failing });
+    expect(debug).toHaveBeenCalledWith('Value ?');
+    expect(debug).toHaveBeenCalledWith({ nested: '?' });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => makeLog({ onEvaluationError: 'ignore' })).toThrow(
+      'Unknown onEvaluationError mode "ignore". Valid modes: placeholder, rethrow, report or a function'
+    );
+  });
+});
@@ -0,0 +1,13 @@
+// Fixture for tests/env.test.js: imports the library with the environment the test spawned it with
+// and prints what the default logger ended up with, plus the warnings reported while loading
+const warnings = [];
+const lines = [];
+console.warn = (...args) => warnings.push(args.join(' '));
+console.log = (...args) => lines.push(args.join(' '));
+
+const { defaultLog, getNamespaces } = await import('../../src/index.js');
+const { default: makeLog } = await import('../../src/index.js');
+makeLog();
+defaultLog.info('probe');
+
+process.stdout.write(JSON.stringify({ level: defaultLog.level, namespaces: getNamespaces(), lines, warnings }));
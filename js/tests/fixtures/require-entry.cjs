@@ -0,0 +1,6 @@
+/* global process */
+// Fixture for tests/level-config.test.js: loads the package entry with require(), which fails
+// for modules using top-level await
+const { default: makeLog, watchLevelConfig } = require('../../src/index.js');
+
+process.stdout.write(JSON.stringify({ makeLog: typeof makeLog, watchLevelConfig: typeof watchLevelConfig }));
@@ -0,0 +1,26 @@
+// Fixture for tests/strip.test.js: each call's line number is checked by the tests
+import makeLog from '../../src/index.js';
+
+const output = (level) => (...args) => globalThis.stripOutput.push([level, ...args]);
+const log = makeLog({
+  level: 'all',
+  log: { error: output('error'), warn: output('warn'), info: output('info'), debug: output('debug') }
+});
+const user = { id: 42, name: 'Ada' };
+
+log.debug(() => `Debugging ${JSON.stringify(user)}`);
+log.info('Started', () => user.id);
+log.trace`User ${() => user.name} loaded`;
+log.warn`Slow request for ${{ id: user.id }}`;
+const status = log.verbose({ nested: { call: (1 + 2) } }) || 'stripped';
+log.error('Kept in the build');
+const message = "log.debug('inside a string')"; // log.debug('inside a comment')
+log.info(message, status);
+log.silly(/\)log.debug\(/.source);
+let count = 0;
+const half = count++ / 2;
+log.debug('After an increment', half);
+if (half) { count = 0; }
+/log.debug\(/.test(message) && log.trace('After a block');
+
+export default log;
@@ -0,0 +1,231 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels, setNamespaces } from '../src/index.js';
+import { createWeakRegistry } from '../src/weak-registry.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn and jest.spyOn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+const spyOn = typeof Bun !== 'undefined' ? jest.spyOn : globalThis.spyOn;
+
+describe('Logger hierarchy', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    setNamespaces('');
+  });
+
+  test('should create children that inherit the parent mask', () => {
+    const root = makeLog({ level: 'warn+' });
+    const child = root.child('db');
+    expect(child.level).toBe(levels.production);
+    expect(child.shouldLog('warn')).toBe(true);
+    expect(child.shouldLog('info')).toBe(false);
+  });
+
+  test('should cascade parent level changes to inheriting children', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    const grandchild = child.child('queries');
+
+    root.level = 'debug+';
+    expect(child.level).toBe(levels.development);
+    expect(grandchild.level).toBe(levels.development);
+
+    root.enableLevel('trace');
+    root.disableLevel('fatal');
+    expect(grandchild.getEnabledLevels()).toEqual(['error', 'warn', 'info', 'debug', 'trace']);
+  });
+
+  test('should stop inheriting once the child sets its own level', () => {
+    const root = makeLog({ level: 'info' });
+    const overridden = root.child('db');
+    const enabled = root.child('http');
+    const disabled = root.child('cache');
+    const inheriting = root.child('auth');
+
+    overridden.level = 'error';
+    enabled.enableLevel('debug');
+    disabled.disableLevel('info');
+    root.level = 'trace';
+
+    expect(overridden.level).toBe(levels.error);
+    expect(enabled.level).toBe(levels.info | levels.debug);
+    expect(disabled.level).toBe(levels.none);
+    expect(inheriting.level).toBe(levels.trace);
+  });
+
+  test('should keep an explicit child level from the options', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db', { level: 'error' });
+    root.level = 'all';
+    expect(child.level).toBe(levels.error);
+  });
+
+  test('should not let child changes affect the parent', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    child.level = 'all';
+    expect(root.level).toBe(levels.info);
+  });
+
+  test('should notify child listeners about inherited changes', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    const listener = mock(() => {});
+    child.onLevelChange(listener);
+
+    root.enableLevel('debug');
+    expect(listener).toHaveBeenCalledWith({
+      previous: levels.info,
+      current: levels.info | levels.debug,
+      added: ['debug'],
+      removed: [],
+      reason: 'inherit'
+    });
+  });
+
+  test('should follow parent escalations', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    root.escalate('trace', { durationMs: 60000 });
+    expect(child.shouldLog('trace')).toBe(true);
+    root.cancelEscalation();
+    expect(child.shouldLog('trace')).toBe(false);
+  });
+
+  test('should keep child escalations when the parent changes', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    child.escalate('trace', { durationMs: 60000 });
+    root.level = 'error';
+    expect(child.getEnabledLevels()).toEqual(['error', 'trace']);
+    child.cancelEscalation();
+    expect(child.getEnabledLevels()).toEqual(['error']);
+  });
+
+  test('should follow scoped parent levels while inheriting', () => {
+    const root = makeLog({ level: 'info' });
+    const child = root.child('db');
+    const overridden = root.child('http', { level: 'info' });
+
+    root.withLevel('debug', () => {
+      expect(child.shouldLog('debug')).toBe(true);
+      expect(overridden.shouldLog('debug')).toBe(false);
+      child.withLevel('trace', () => {
+        expect(child.getEnabledLevels()).toEqual(['trace']);
+      });
+    });
+    expect(child.shouldLog('debug')).toBe(false);
+  });
+
+  test('should share outputs, custom levels and presets with children', () => {
+    const auditOutput = mock(() => {});
+    const root = makeLog({ levels: ['audit'], level: 'all', presets: { ops: 6 }, log: { audit: auditOutput } });
+    const child = root.child('billing');
+
+    child.audit('charged', () => 42);
+    expect(auditOutput).toHaveBeenCalledWith('charged', 42);
+    expect(child.levels.ops).toBe(6);
+    expect(child.levels.audit).toBe(256);
+  });
+
+  test('should prefix child names with the parent name', () => {
+    const root = makeLog({ name: 'app' });
+    expect(root.child('db').name).toBe('app:db');
+    expect(root.child('db').child('queries').name).toBe('app:db:queries');
+    expect(makeLog().child('worker').name).toBe('worker');
+  });
+
+  test('should let namespace rules override inherited levels', () => {
+    const root = makeLog({ name: 'app', level: 'info' });
+    const db = root.child('db');
+
+    setNamespaces('app:db=trace');
+    root.level = 'error';
+    expect(db.level).toBe(levels.trace);
+
+    setNamespaces('');
+    expect(db.level).toBe(levels.error);
+    root.level = 'warn';
+    expect(db.level).toBe(levels.warn);
+  });
+
+  test('should ignore LOG_LAZY_LEVEL for children', () => {
+    const saved = process.env.LOG_LAZY_LEVEL;
+    const root = makeLog({ level: 'error' });
+    process.env.LOG_LAZY_LEVEL = 'debug';
+    try {
+      expect(root.child('db').level).toBe(levels.error);
+    } finally {
+      if (saved === undefined) delete process.env.LOG_LAZY_LEVEL;
+      else process.env.LOG_LAZY_LEVEL = saved;
+    }
+  });
+
+  test('should require a child name', () => {
+    const root = makeLog();
+    expect(() => root.child()).toThrow('child expects a non-empty logger name');
+    expect(() => root.child('')).toThrow('child expects a non-empty logger name');
+  });
+
+  // Needs a way to force garbage collection: Bun, or Node started with --expose-gc
+  const collectGarbage = typeof Bun !== 'undefined' ? () => Bun.gc(true) : globalThis.gc;
+  if (collectGarbage) {
+    test('should not keep short-lived children alive', async () => {
+      const parent = makeLog({ level: 'info' });
+      let collected = 0;
+      const finalizers = new FinalizationRegistry(() => {
+        collected++;
+      });
+      (() => {
+        for (let i = 0; i < 100; i++) finalizers.register(parent.child('request'), i);
+      })();
+      for (let attempt = 0; attempt < 10 && collected === 0; attempt++) {
+        collectGarbage();
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(collected > 0).toBe(true);
+
+      parent.level = 'debug';
+      expect(parent.child('after').level).toBe(levels.debug);
+    });
+
+    test('should drop collected loggers from registries without iterating them', async () => {
+      const registry = createWeakRegistry();
+      (() => {
+        for (let i = 0; i < 200; i++) {
+          const log = makeLog();
+          registry.add(log, () => log);
+        }
+      })();
+      expect(registry.size).toBe(200);
+      for (let attempt = 0; attempt < 10 && registry.size === 200; attempt++) {
+        collectGarbage();
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(registry.size < 200).toBe(true);
+    });
+  }
+});
@@ -0,0 +1,122 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { lazy } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Memoized lazy values', () => {
+  test('runs the function at most once', () => {
+    const compute = mock(() => ({ total: 42 }));
+    const value = lazy(compute);
+
+    expect(compute).not.toHaveBeenCalled();
+    expect(value()).toEqual({ total: 42 });
+    expect(value()).toBe(value());
+    expect(compute.mock.calls.length).toBe(1);
+  });
+
+  test('evaluates once when stringified and serialized', () => {
+    const compute = mock(() => 7);
+    const value = lazy(compute);
+
+    expect(`${value}`).toBe('7');
+    expect(JSON.stringify({ value })).toBe('{"value":7}');
+    expect(value + 1).toBe(8);
+    expect(compute.mock.calls.length).toBe(1);
+  });
+
+  test('remembers errors', () => {
+    const compute = mock(() => {
+      throw new Error('boom');
+    });
+    const value = lazy(compute);
+
+    expect(() => value()).toThrow('boom');
+    expect(() => value()).toThrow('boom');
+    expect(compute.mock.calls.length).toBe(1);
+  });
+
+  test('rejects non-functions', () => {
+    expect(() => lazy(42)).toThrow('lazy expects a function');
+  });
+});
+
+describe('Evaluating arguments once per call', () => {
+  test('passes the same resolved arguments to several outputs', () => {
+    const thunk = mock(() => 'expensive');
+    const console1 = mock(() => {});
+    const console2 = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info: [console1, console2] } });
+
+    log.info('Result:', thunk);
+    expect(thunk.mock.calls.length).toBe(1);
+    expect(console1).toHaveBeenCalledWith('Result:', 'expensive');
+    expect(console2).toHaveBeenCalledWith('Result:', 'expensive');
+  });
+
+  test('formats JSON once for several outputs', () => {
+    const lines = [];
+    const log = makeLog({ level: 'all', format: 'json', log: { info: [line => lines.push(line), line => lines.push(line)] } });
+
+    log.info('Started');
+    expect(lines.length).toBe(2);
+    expect(lines[0]).toBe(lines[1]);
+  });
+
+  test('runs a thunk passed twice in one call once', () => {
+    const thunk = mock(() => 'value');
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info } });
+
+    log.info(thunk, thunk);
+    expect(thunk.mock.calls.length).toBe(1);
+    expect(info).toHaveBeenCalledWith('value', 'value');
+
+    log.info(thunk);
+    expect(thunk.mock.calls.length).toBe(2);
+  });
+
+  test('runs a thunk nested more than once with deep resolution once', () => {
+    const thunk = mock(() => 'value');
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', deep: true, log: { info } });
+
+    log.info(thunk, { first: thunk, list: [thunk] });
+    expect(thunk.mock.calls.length).toBe(1);
+    expect(info).toHaveBeenCalledWith('value', { first: 'value', list: ['value'] });
+  });
+
+  test('evaluates lazy values nested in objects once across outputs', () => {
+    const compute = mock(() => 'state');
+    const outputs = [mock(() => {}), mock(() => {})];
+    const log = makeLog({ level: 'all', log: { info: outputs.map(output => (...args) => output(`${args[0].state}`)) } });
+
+    log.info({ state: lazy(compute) });
+    expect(compute.mock.calls.length).toBe(1);
+    expect(outputs[0]).toHaveBeenCalledWith('state');
+    expect(outputs[1]).toHaveBeenCalledWith('state');
+  });
+
+  test('does not run lazy values when the level is disabled', () => {
+    const compute = mock(() => 'state');
+    const log = makeLog({ level: 'error', log: { debug: mock(() => {}) } });
+
+    log.debug(lazy(compute));
+    expect(compute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { setNamespaces } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Level method binding', () => {
+  test('binds every disabled level to one shared no-op', () => {
+    const log = makeLog({ level: 'error' });
+    const other = makeLog({ level: 'none', model: 'syslog' });
+
+    expect(log.debug).toBe(log.trace);
+    expect(log.debug).toBe(other.notice);
+    expect(log.error === log.debug).toBe(false);
+    expect(log.debug.enabled).toBe(false);
+    expect(log.debug(() => 'skipped')).toBe(undefined);
+  });
+
+  test('never calls thunks of disabled levels', () => {
+    const debug = mock();
+    const log = makeLog({ level: 'info', log: { debug } });
+    const thunk = mock(() => 'expensive');
+
+    log.debug(thunk);
+    expect(thunk.mock.calls.length).toBe(0);
+    expect(debug.mock.calls.length).toBe(0);
+  });
+
+  test('rebinds methods when the mask changes', () => {
+    const debug = mock();
+    const log = makeLog({ level: 'info', log: { debug } });
+    const disabled = log.debug;
+
+    log.enableLevel('debug');
+    expect(log.debug === disabled).toBe(false);
+    expect(log.debug.enabled).toBe(true);
+    log.debug('first', () => 1);
+    expect(debug.mock.calls[0]).toEqual(['first', 1]);
+
+    log.level = 'warn';
+    expect(log.debug).toBe(disabled);
+    log.debug('second');
+    expect(debug.mock.calls.length).toBe(1);
+  });
+
+  test('rebinds methods for escalations and namespaces', () => {
+    const log = makeLog({ level: 'info', name: 'binding:test' });
+
+    log.escalate('debug', { durationMs: 1000 });
+    expect(log.debug.enabled).toBe(true);
+    log.cancelEscalation();
+    expect(log.debug.enabled).toBe(false);
+
+    setNamespaces('binding:*=debug');
+    expect(log.debug.enabled).toBe(true);
+    setNamespaces('');
+    expect(log.debug.enabled).toBe(false);
+  });
+
+  test('keeps aliases bound to their level', () => {
+    const log = makeLog({ level: 'err', model: 'syslog' });
+
+    expect(log.err).toBe(log.error);
+    expect(log.err.enabled).toBe(true);
+    log.level = 'warning';
+    expect(log.err).toBe(log.error);
+    expect(log.warning).toBe(log.warn);
+    expect(log.warning.enabled).toBe(true);
+    expect(log.err.enabled).toBe(false);
+  });
+
+  test('checks the mask on every call once withLevel is used', () => {
+    const debug = mock();
+    const log = makeLog({ level: 'info', log: { debug } });
+
+    log.withLevel('debug', () => log.debug('scoped'));
+    log.debug('outside');
+    expect(debug.mock.calls).toEqual([['scoped']]);
+    expect(log.withLevel('debug', () => log.debug.enabled)).toBe(true);
+    expect(log.debug.enabled).toBe(false);
+  });
+
+  test('checks the mask on every call while inheriting from a parent', () => {
+    const debug = mock();
+    const parent = makeLog({ level: 'info', log: { debug } });
+    const child = parent.child('db');
+
+    parent.withLevel('debug', () => child.debug('scoped'));
+    child.debug('outside');
+    expect(debug.mock.calls).toEqual([['scoped']]);
+
+    parent.level = 'debug';
+    child.debug('inherited');
+    expect(debug.mock.calls.length).toBe(2);
+
+    child.level = 'info';
+    expect(child.debug).toBe(makeLog({ level: 'none' }).debug);
+  });
+});
@@ -0,0 +1,155 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Level change subscriptions', () => {
+  test('should notify listeners when the level setter changes the mask', () => {
+    const log = makeLog({ level: 'production' });
+    const listener = mock(() => {});
+    log.onLevelChange(listener);
+
+    log.level = 'development';
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      previous: levels.production,
+      current: levels.development,
+      added: ['info', 'debug'],
+      removed: [],
+      reason: 'set'
+    });
+  });
+
+  test('should notify listeners from enableLevel and disableLevel', () => {
+    const log = makeLog({ level: 'info' });
+    const changes = [];
+    log.onLevelChange(change => changes.push(change));
+
+    log.enableLevel('debug|trace');
+    log.disableLevel('info');
+    expect(changes).toEqual([
+      { previous: 8, current: 8 | 16 | 64, added: ['debug', 'trace'], removed: [], reason: 'enable' },
+      { previous: 8 | 16 | 64, current: 16 | 64, added: [], removed: ['info'], reason: 'disable' }
+    ]);
+  });
+
+  test('should report added and removed levels in one change', () => {
+    const log = makeLog({ level: 'error|warn' });
+    const listener = mock(() => {});
+    log.onLevelChange(listener);
+
+    log.level = 'warn|debug';
+    expect(listener).toHaveBeenCalledWith({
+      previous: levels.error | levels.warn,
+      current: levels.warn | levels.debug,
+      added: ['debug'],
+      removed: ['error'],
+      reason: 'set'
+    });
+  });
+
+  test('should not notify listeners when the mask stays the same', () => {
+    const log = makeLog({ level: 'info' });
+    const listener = mock(() => {});
+    log.onLevelChange(listener);
+
+    log.level = 'info';
+    log.enableLevel('info');
+    log.disableLevel('debug');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should see the new mask from inside the listener', () => {
+    const log = makeLog({ level: 'info' });
+    let debugEnabled = log.shouldLog('debug');
+    log.onLevelChange(() => {
+      debugEnabled = log.shouldLog('debug');
+    });
+
+    log.enableLevel('debug');
+    expect(debugEnabled).toBe(true);
+    log.disableLevel('debug');
+    expect(debugEnabled).toBe(false);
+  });
+
+  test('should stop notifying after unsubscribe', () => {
+    const log = makeLog({ level: 'info' });
+    const listener = mock(() => {});
+    const unsubscribe = log.onLevelChange(listener);
+
+    log.enableLevel('debug');
+    unsubscribe();
+    unsubscribe();
+    log.disableLevel('debug');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should notify every listener even if one unsubscribes during notification', () => {
+    const log = makeLog({ level: 'info' });
+    const second = mock(() => {});
+    const unsubscribeFirst = log.onLevelChange(() => unsubscribeFirst());
+    log.onLevelChange(second);
+
+    log.level = 'all';
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('should notify every listener and child before rethrowing a listener error', () => {
+    const log = makeLog({ level: 'info' });
+    const first = log.child('first');
+    const second = log.child('second');
+    const listener = mock(() => {});
+    first.onLevelChange(() => {
+      throw new Error('first child listener');
+    });
+    log.onLevelChange(() => {
+      throw new Error('parent listener');
+    });
+    log.onLevelChange(listener);
+
+    expect(() => {
+      log.level = 'debug';
+    }).toThrow('first child listener');
+    expect(log.level).toBe(levels.debug);
+    expect(first.level).toBe(levels.debug);
+    expect(second.level).toBe(levels.debug);
+    expect(listener.mock.calls.length).toBe(1);
+
+    expect(() => log.disableLevel('debug')).toThrow('first child listener');
+    expect(second.level).toBe(0);
+    expect(listener.mock.calls.length).toBe(2);
+  });
+
+  test('should include custom levels in change names', () => {
+    const log = makeLog({ levels: ['audit'], level: 'info' });
+    const listener = mock(() => {});
+    log.onLevelChange(listener);
+
+    log.enableLevel('audit');
+    expect(listener).toHaveBeenCalledWith({ previous: 8, current: 8 | 256, added: ['audit'], removed: [], reason: 'enable' });
+  });
+
+  test('should reject non-function listeners', () => {
+    const log = makeLog();
+    expect(() => log.onLevelChange('not a function')).toThrow('onLevelChange expects a listener function');
+  });
+});
@@ -0,0 +1,184 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import makeLog, { levels, watchLevelConfig } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until a condition holds, since file watchers fire asynchronously
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the config to reload');
+    await sleep(10);
+  }
+};
+
+describe('Level config files', () => {
+  let dir;
+  let file;
+  let stop;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'log-lazy-'));
+    file = join(dir, 'levels.json');
+  });
+
+  afterEach(() => {
+    if (stop) stop();
+    stop = undefined;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfig = (config) => {
+    writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  };
+
+  // Error output of each logger, where invalid configs are reported
+  const errorOutputs = new Map();
+  const errorOutput = (log) => errorOutputs.get(log).mock.calls;
+
+  const makeLogger = (options = {}) => {
+    const error = mock(() => {});
+    const log = makeLog({ level: 'error', log: { error }, ...options });
+    errorOutputs.set(log, error);
+    return log;
+  };
+
+  test('applies the global level and per-name overrides on start', () => {
+    writeConfig({ level: 'warn+', loggers: { 'app:db': 'debug' } });
+    const app = makeLogger({ name: 'app' });
+    const db = makeLogger({ name: 'app:db' });
+    const anonymous = makeLogger();
+    stop = watchLevelConfig(file, [app, db, anonymous]);
+
+    expect(app.level).toBe(levels.fatal | levels.error | levels.warn);
+    expect(db.level).toBe(levels.debug);
+    expect(anonymous.level).toBe(levels.fatal | levels.error | levels.warn);
+  });
+
+  test('accepts a single logger and leaves loggers without a level untouched', () => {
+    writeConfig({ loggers: { other: 'all' } });
+    const log = makeLogger({ name: 'app' });
+    stop = watchLevelConfig(file, log);
+
+    expect(log.level).toBe(levels.error);
+  });
+
+  test('resolves levels against custom levels of each logger', () => {
+    writeConfig({ level: 'audit|error' });
+    const log = makeLogger({ levels: ['audit'] });
+    stop = watchLevelConfig(file, log);
+
+    expect(log.level).toBe(log.levels.audit | levels.error);
+  });
+
+  test('reloads when the file changes', async () => {
+    writeConfig({ level: 'info' });
+    const log = makeLogger({ name: 'app' });
+    stop = watchLevelConfig(file, [log], { debounceMs: 5 });
+    expect(log.level).toBe(levels.info);
+
+    writeConfig({ level: 'info', loggers: { app: 'trace' } });
+    await waitFor(() => log.level === levels.trace);
+  });
+
+  test('debounces rapid edits into one reload', async () => {
+    writeConfig({ level: 'info' });
+    const log = makeLogger();
+    const listener = mock(() => {});
+    stop = watchLevelConfig(file, log, { debounceMs: 50 });
+    log.onLevelChange(listener);
+
+    writeConfig({ level: 'debug' });
+    writeConfig({ level: 'verbose' });
+    writeConfig({ level: 'trace' });
+    await waitFor(() => log.level === levels.trace);
+    await sleep(100);
+
+    expect(listener.mock.calls.length).toBe(1);
+  });
+
+  test('reports invalid files at error level and keeps the last good config', async () => {
+    writeConfig({ level: 'debug' });
+    const reporter = makeLogger();
+    const log = makeLogger();
+    stop = watchLevelConfig(file, log, { debounceMs: 5, log: reporter });
+
+    writeConfig('{ "level": ');
+    await waitFor(() => errorOutput(reporter).length > 0);
+    expect(errorOutput(reporter)[0][0]).toContain(`Invalid log level config "${file}"`);
+    expect(log.level).toBe(levels.debug);
+
+    writeConfig({ level: 'loud' });
+    await waitFor(() => errorOutput(reporter).length > 1);
+    expect(errorOutput(reporter)[1][0]).toContain('unknown log level "loud"');
+    expect(log.level).toBe(levels.debug);
+
+    writeConfig({ level: 'info' });
+    await waitFor(() => log.level === levels.info);
+  });
+
+  test('reports a missing file on start', () => {
+    const log = makeLogger();
+    stop = watchLevelConfig(file, log);
+
+    expect(errorOutput(log).length).toBe(1);
+    expect(log.level).toBe(levels.error);
+  });
+
+  test('stops watching', async () => {
+    writeConfig({ level: 'info' });
+    const log = makeLogger();
+    stop = watchLevelConfig(file, log, { debounceMs: 5 });
+    stop();
+    stop();
+
+    writeConfig({ level: 'trace' });
+    await sleep(100);
+    expect(log.level).toBe(levels.info);
+  });
+
+  test('names what it needs in runtimes without node:fs and node:path', () => {
+    const { getBuiltinModule } = process;
+    process.getBuiltinModule = undefined;
+    try {
+      expect(() => watchLevelConfig(file, makeLogger())).toThrow('need node:fs and node:path (Node.js 20.16 or later');
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+    }
+  });
+
+  // require() of ES modules works for synchronous modules only (Bun, Node 20.19+ and 22.12+)
+  if (typeof Bun !== 'undefined' || process.features?.require_module) {
+    test('keeps the package entry loadable with require()', () => {
+      const fixture = fileURLToPath(new URL('./fixtures/require-entry.cjs', import.meta.url));
+      const result = spawnSync(process.execPath, [fixture], { encoding: 'utf8', timeout: 30000 });
+      expect(result.status).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual({ makeLog: 'function', watchLevelConfig: 'function' });
+    });
+  }
+});
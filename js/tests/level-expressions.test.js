@@ -0,0 +1,122 @@
+/* eslint-env node */
+/* global describe, test, expect */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels, getLevelOrDefault } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+describe('Level expressions', () => {
+  describe('getLevelOrDefault', () => {
+    test('should combine levels with |', () => {
+      expect(getLevelOrDefault('error|warn|debug', levels)).toBe(levels.error | levels.warn | levels.debug);
+      expect(getLevelOrDefault(' error | warn ', levels)).toBe(levels.error | levels.warn);
+    });
+
+    test('should intersect and negate with & and ~', () => {
+      expect(getLevelOrDefault('all&~silly', levels)).toBe(levels.all & ~levels.silly);
+      expect(getLevelOrDefault('development&production', levels)).toBe(levels.production);
+      expect(getLevelOrDefault('~production', levels)).toBe(levels.all & ~levels.production);
+      expect(getLevelOrDefault('~~warn', levels)).toBe(levels.warn);
+    });
+
+    test('should add and remove levels in comma-separated lists', () => {
+      expect(getLevelOrDefault('development,-debug', levels)).toBe(levels.fatal | levels.error | levels.warn | levels.info);
+      expect(getLevelOrDefault('error,warn', levels)).toBe(levels.error | levels.warn);
+      expect(getLevelOrDefault('all,-trace,-silly,verbose', levels)).toBe(levels.all & ~levels.trace & ~levels.silly);
+    });
+
+    test('should bind & tighter than | and support parentheses', () => {
+      expect(getLevelOrDefault('error|all&debug', levels)).toBe(levels.error | levels.debug);
+      expect(getLevelOrDefault('(error|all)&debug', levels)).toBe(levels.debug);
+      expect(getLevelOrDefault('all&~(trace|silly)', levels)).toBe(127 & ~levels.trace);
+    });
+
+    test('should allow thresholds and numbers as terms', () => {
+      expect(getLevelOrDefault('warn+|debug', levels)).toBe(levels.production | levels.debug);
+      expect(getLevelOrDefault('>=info&~warn', levels)).toBe(levels.fatal | levels.error | levels.info);
+      expect(getLevelOrDefault('6|16', levels)).toBe(22);
+    });
+
+    test('should resolve custom presets and custom levels', () => {
+      const log = makeLog({ levels: ['audit'], presets: { ops: levels.error | levels.warn } });
+      expect(getLevelOrDefault('ops|audit', log.levels)).toBe(levels.error | levels.warn | 256);
+      expect(getLevelOrDefault('all&~audit', log.levels)).toBe(255);
+    });
+
+    test('should return the default for unknown names', () => {
+      expect(getLevelOrDefault('error|debgu', levels, 8)).toBe(8);
+      expect(getLevelOrDefault('all&~toString', levels, 8)).toBe(8);
+    });
+
+    test('should keep parsing plain numeric strings', () => {
+      expect(getLevelOrDefault('16', levels)).toBe(16);
+      expect(getLevelOrDefault('-1', levels)).toBe(-1);
+    });
+
+    test('should throw descriptive errors for malformed expressions', () => {
+      expect(() => getLevelOrDefault('error||warn', levels)).toThrow('expected a level but found "|" at position 6');
+      expect(() => getLevelOrDefault('error|', levels)).toThrow('expected a level but found end of expression');
+      expect(() => getLevelOrDefault('(error|warn', levels)).toThrow('expected ")" but found end of expression');
+      expect(() => getLevelOrDefault('error warn|info', levels)).toThrow('expected an operator but found "warn"');
+      expect(() => getLevelOrDefault('error|wa*rn', levels)).toThrow('unexpected "*" at position 8');
+      expect(() => getLevelOrDefault('>=', levels)).toThrow('expected a level name');
+    });
+
+    test('should reject lists that start with a removal', () => {
+      expect(() => getLevelOrDefault('-debug', levels)).toThrow('"-" at position 0 needs levels to remove from before it, e.g. "all,-debug"');
+      expect(() => getLevelOrDefault('error|(-warn)', levels)).toThrow('"-" at position 7 needs levels to remove from');
+      expect(() => makeLog({ level: '-debug' })).toThrow(SyntaxError);
+      expect(getLevelOrDefault('all,-debug', levels)).toBe(levels.all & ~levels.debug);
+    });
+
+    test('should throw SyntaxError instances', () => {
+      let caught;
+      try {
+        getLevelOrDefault('error,,warn', levels);
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught instanceof SyntaxError).toBe(true);
+    });
+  });
+
+  describe('makeLog', () => {
+    test('should accept expressions everywhere a level is accepted', () => {
+      const log = makeLog({ level: 'error|warn|debug' });
+      expect(log.getEnabledLevels()).toEqual(['error', 'warn', 'debug']);
+
+      log.level = 'all&~silly';
+      expect(log.shouldLog('silly')).toBe(false);
+      expect(log.shouldLog('trace|silly')).toBe(true);
+
+      log.disableLevel('verbose,trace');
+      expect(log.getEnabledLevels()).toEqual(['fatal', 'error', 'warn', 'info', 'debug']);
+
+      log.enableLevel('warn+,silly');
+      expect(log.getEnabledLevels()).toEqual(['fatal', 'error', 'warn', 'info', 'debug', 'silly']);
+    });
+
+    test('should use custom presets in expressions', () => {
+      const log = makeLog({ level: 'ops,-warn', presets: { ops: levels.error | levels.warn | levels.info } });
+      expect(log.getEnabledLevels()).toEqual(['error', 'info']);
+    });
+
+    test('should throw for malformed expressions in options', () => {
+      expect(() => makeLog({ level: 'error|' })).toThrow('Invalid log level expression');
+    });
+  });
+});
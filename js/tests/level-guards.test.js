@@ -0,0 +1,113 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Level guards', () => {
+  test('exposes enabled on every level method', () => {
+    const log = makeLog({ level: 'warn+' });
+
+    expect(log.error.enabled).toBe(true);
+    expect(log.warn.enabled).toBe(true);
+    expect(log.debug.enabled).toBe(false);
+    expect(log.silly.enabled).toBe(false);
+  });
+
+  test('exposes is<Level>Enabled properties', () => {
+    const log = makeLog({ level: 'info' });
+
+    expect(log.isInfoEnabled).toBe(true);
+    expect(log.isDebugEnabled).toBe(false);
+    expect(log.isFatalEnabled).toBe(false);
+  });
+
+  test('stays in sync with level, enableLevel and disableLevel', () => {
+    const log = makeLog({ level: 'info' });
+
+    log.enableLevel('debug');
+    expect(log.debug.enabled).toBe(true);
+    expect(log.isDebugEnabled).toBe(true);
+
+    log.disableLevel('info');
+    expect(log.info.enabled).toBe(false);
+    expect(log.isInfoEnabled).toBe(false);
+
+    log.level = 'all';
+    expect(log.isSillyEnabled).toBe(true);
+    log.level = 'none';
+    expect(log.error.enabled).toBe(false);
+  });
+
+  test('follows scoped levels and escalations', () => {
+    const log = makeLog({ level: 'info' });
+
+    expect(log.withLevel('debug', () => log.isDebugEnabled)).toBe(true);
+    expect(log.isDebugEnabled).toBe(false);
+
+    log.escalate('trace', { durationMs: 1000 });
+    expect(log.trace.enabled).toBe(true);
+    log.cancelEscalation();
+    expect(log.trace.enabled).toBe(false);
+  });
+
+  test('covers custom levels, syslog levels and aliases', () => {
+    const custom = makeLog({ levels: ['audit'], level: 'audit' });
+    expect(custom.audit.enabled).toBe(true);
+    expect(custom.isAuditEnabled).toBe(true);
+
+    const syslog = makeLog({ model: 'syslog', level: 'warning+' });
+    expect(syslog.isCriticalEnabled).toBe(true);
+    expect(syslog.warning.enabled).toBe(true);
+    expect(syslog.isWarningEnabled).toBe(true);
+    expect(syslog.isNoticeEnabled).toBe(false);
+  });
+
+  test('cannot be assigned', () => {
+    const log = makeLog({ level: 'info' });
+
+    expect(() => {
+      'use strict';
+      log.debug.enabled = true;
+    }).toThrow(TypeError);
+    expect(log.debug.enabled).toBe(false);
+  });
+
+  test('when runs the block only for enabled levels and returns its result', () => {
+    const log = makeLog({ level: 'info' });
+    const block = mock(() => 'diagnostics');
+
+    expect(log.when('debug', block)).toBeUndefined();
+    expect(block).not.toHaveBeenCalled();
+
+    expect(log.when('info', block)).toBe('diagnostics');
+    expect(log.when('warn|debug', block)).toBeUndefined();
+    expect(log.when(log.levels.info, block)).toBe('diagnostics');
+    expect(block.mock.calls.length).toBe(2);
+  });
+
+  test('when requires a function', () => {
+    const log = makeLog();
+
+    expect(() => log.when('info')).toThrow('when expects a function to run');
+  });
+
+  test('when is reserved for custom levels', () => {
+    expect(() => makeLog({ levels: ['when'] })).toThrow('conflicts with an existing name');
+  });
+});
@@ -0,0 +1,117 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels, getLevelOrDefault } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.spyOn for mocking
+const spyOn = typeof Bun !== 'undefined' ? jest.spyOn : globalThis.spyOn;
+
+describe('Level thresholds', () => {
+  let consoleErrorSpy, consoleWarnSpy, consoleLogSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarnSpy = spyOn(console, 'warn').mockImplementation(() => {});
+    consoleLogSpy = spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('getLevelOrDefault', () => {
+    test('should parse "name+" as the level and everything more severe', () => {
+      expect(getLevelOrDefault('fatal+', levels)).toBe(levels.fatal);
+      expect(getLevelOrDefault('warn+', levels)).toBe(levels.production);
+      expect(getLevelOrDefault('debug+', levels)).toBe(levels.development);
+      expect(getLevelOrDefault('silly+', levels)).toBe(levels.all);
+    });
+
+    test('should parse ">=" and ">" thresholds', () => {
+      expect(getLevelOrDefault('>=info', levels)).toBe(levels.fatal | levels.error | levels.warn | levels.info);
+      expect(getLevelOrDefault('>info', levels)).toBe(levels.production);
+      expect(getLevelOrDefault('>fatal', levels)).toBe(levels.none);
+    });
+
+    test('should parse "<=" and "<" thresholds', () => {
+      expect(getLevelOrDefault('<=warn', levels)).toBe(levels.all & ~levels.fatal & ~levels.error);
+      expect(getLevelOrDefault('<debug', levels)).toBe(levels.verbose | levels.trace | levels.silly);
+      expect(getLevelOrDefault('<=silly', levels)).toBe(levels.silly);
+    });
+
+    test('should allow whitespace around threshold operators', () => {
+      expect(getLevelOrDefault(' >= info ', levels)).toBe(15);
+      expect(getLevelOrDefault('info +', levels)).toBe(15);
+    });
+
+    test('should return the default for unknown thresholds', () => {
+      expect(getLevelOrDefault('verbos+', levels, 8)).toBe(8);
+    });
+
+    test('should reject thresholds of presets or malformed thresholds', () => {
+      expect(() => getLevelOrDefault('>=production', levels)).toThrow('needs a single level');
+      expect(() => getLevelOrDefault('=>info', levels)).toThrow('Invalid log level expression');
+    });
+
+    test('should order custom levels after the built-in ones', () => {
+      const log = makeLog({ levels: ['audit'] });
+      expect(getLevelOrDefault('silly+', log.levels)).toBe(255);
+      expect(getLevelOrDefault('audit+', log.levels)).toBe(511);
+      expect(getLevelOrDefault('<=silly', log.levels)).toBe(levels.silly | log.levels.audit);
+    });
+  });
+
+  describe('makeLog', () => {
+    test('should accept thresholds as the initial level', () => {
+      const log = makeLog({ level: 'warn+' });
+      expect(log.level).toBe(levels.production);
+
+      log.error('logged');
+      log.warn('logged');
+      log.info('not logged');
+      expect(consoleErrorSpy).toHaveBeenCalledTimes(1);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(1);
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+    });
+
+    test('should accept thresholds in the level setter', () => {
+      const log = makeLog({ level: 'none' });
+      log.level = '>=debug';
+      expect(log.getEnabledLevels()).toEqual(['fatal', 'error', 'warn', 'info', 'debug']);
+    });
+
+    test('should accept thresholds in enableLevel and disableLevel', () => {
+      const log = makeLog({ level: 'error' });
+      log.enableLevel('<=trace');
+      expect(log.getEnabledLevels()).toEqual(['error', 'trace', 'silly']);
+
+      log.disableLevel('<trace');
+      expect(log.getEnabledLevels()).toEqual(['error', 'trace']);
+    });
+
+    test('should accept thresholds in shouldLog', () => {
+      const log = makeLog({ level: 'debug' });
+      expect(log.shouldLog('info+')).toBe(false);
+      expect(log.shouldLog('debug+')).toBe(true);
+      expect(log.shouldLog('<=verbose')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { runWithLogContext } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Message and fields of each record an output received
+const recorded = (output) => output.mock.calls.map(([record]) => [record.msg, record.fields]);
+
+describe('Log context', () => {
+  test('adds context fields to records of any logger inside the scope', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+    const other = makeLog({ records: true, name: 'db', log: { info } });
+
+    const result = runWithLogContext({ requestId: 'r-1' }, () => {
+      log.info('Handled', 200);
+      other.info('Query');
+      return 'done';
+    });
+    log.info('Outside');
+
+    expect(result).toBe('done');
+    expect(recorded(info)).toEqual([
+      ['Handled', { requestId: 'r-1' }],
+      ['Query', { requestId: 'r-1' }],
+      ['Outside', {}]
+    ]);
+    expect(info.mock.calls[0][0].args).toEqual([200]);
+  });
+
+  test('adds context fields to JSON lines', () => {
+    const info = mock();
+    const log = makeLog({ format: 'json', log: { info } });
+
+    runWithLogContext({ requestId: 'r-1' }, () => log.info('Handled', 200));
+    const line = JSON.parse(info.mock.calls[0][0]);
+    expect(line.requestId).toBe('r-1');
+    expect(line.args).toEqual([200]);
+  });
+
+  test('leaves the arguments of positional outputs unchanged', () => {
+    const info = mock();
+    const consoleLog = mock();
+    const originalLog = console.log;
+    console.log = consoleLog;
+    let recordLog;
+    try {
+      recordLog = makeLog({ records: true, log: { error: mock() } });
+    } finally {
+      console.log = originalLog;
+    }
+    const adapter = makeLog({ log: { info: (...args) => info(args.length, ...args) } });
+
+    runWithLogContext({ requestId: 'r-1' }, () => {
+      adapter.info('Handled', 200);
+      adapter.with({ userId: 7 }).info('Bound');
+      recordLog.info('Console default');
+    });
+    expect(info.mock.calls).toEqual([
+      [2, 'Handled', 200],
+      [2, 'Bound', { userId: 7 }]
+    ]);
+    expect(consoleLog.mock.calls).toEqual([['Console default']]);
+  });
+
+  test('passes context fields to record outputs', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+
+    runWithLogContext({ requestId: 'r-2' }, () => log.info('Handled'));
+    expect(info.mock.calls[0][0].fields).toEqual({ requestId: 'r-2' });
+    expect(info.mock.calls[0][0].args).toEqual([]);
+  });
+
+  test('lets bound and template fields override context fields', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+
+    runWithLogContext({ requestId: 'r-3', step: 'context', user: 'context' }, () => {
+      log.with({ step: 'bound' }).info`Loaded for ${{ user: 'template' }}`;
+    });
+    expect(info.mock.calls[0][0].fields).toEqual({ requestId: 'r-3', step: 'bound', user: 'template' });
+  });
+
+  test('nests scopes and restores the outer context', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+
+    runWithLogContext({ requestId: 'r-4', step: 'outer' }, () => {
+      runWithLogContext({ step: 'inner' }, () => log.info('Inner'));
+      log.info('Outer');
+    });
+    expect(recorded(info)).toEqual([
+      ['Inner', { requestId: 'r-4', step: 'inner' }],
+      ['Outer', { requestId: 'r-4', step: 'outer' }]
+    ]);
+  });
+
+  test('follows awaits and timers of concurrent scopes', async () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+    const handle = (requestId, delay) => runWithLogContext({ requestId }, async () => {
+      await wait(delay);
+      log.info('Finished');
+    });
+
+    await Promise.all([handle('slow', 20), handle('fast', 5)]);
+    expect(recorded(info)).toEqual([
+      ['Finished', { requestId: 'fast' }],
+      ['Finished', { requestId: 'slow' }]
+    ]);
+  });
+
+  test('evaluates function values only for enabled calls', () => {
+    const debug = mock();
+    const user = mock(() => 'ada');
+    const log = makeLog({ level: 'info', records: true, log: { debug } });
+
+    runWithLogContext({ user }, () => {
+      log.debug('Skipped');
+      expect(user.mock.calls.length).toBe(0);
+      log.level = 'debug';
+      log.debug('Written');
+    });
+    expect(user.mock.calls.length).toBe(1);
+    expect(recorded(debug)).toEqual([['Written', { user: 'ada' }]]);
+  });
+
+  test('rejects invalid fields and callbacks', () => {
+    expect(() => runWithLogContext('r-5', () => {})).toThrow(TypeError);
+    expect(() => runWithLogContext({ requestId: 'r-5' })).toThrow('runWithLogContext expects a function to run');
+  });
+});
@@ -0,0 +1,167 @@
+/* eslint-env node */
+/* global describe, test, expect, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels, setNamespaces, getNamespaces } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Namespaces', () => {
+  afterEach(() => {
+    setNamespaces('');
+  });
+
+  test('should expose the logger name', () => {
+    expect(makeLog({ name: 'app:db' }).name).toBe('app:db');
+    expect(makeLog().name).toBe('');
+  });
+
+  test('should reject non-string names', () => {
+    expect(() => makeLog({ name: 42 })).toThrow('Logger name must be a string');
+  });
+
+  test('should apply the matching rule to named loggers', () => {
+    setNamespaces('app:*=info,app:db=debug,-app:http');
+    const db = makeLog({ name: 'app:db' });
+    const http = makeLog({ name: 'app:http' });
+    const cache = makeLog({ name: 'app:cache' });
+    const other = makeLog({ name: 'worker', level: 'error' });
+
+    expect(db.level).toBe(levels.debug);
+    expect(http.level).toBe(levels.none);
+    expect(cache.level).toBe(levels.info);
+    expect(other.level).toBe(levels.error);
+  });
+
+  test('should let the last matching rule win', () => {
+    setNamespaces('app:db=debug app:*=warn+');
+    expect(makeLog({ name: 'app:db' }).level).toBe(levels.production);
+  });
+
+  test('should enable all levels for bare patterns', () => {
+    setNamespaces('app:*');
+    expect(makeLog({ name: 'app:db' }).level).toBe(levels.all);
+  });
+
+  test('should match wildcards anywhere in the pattern', () => {
+    setNamespaces('*:db=error,app:*:slow=trace');
+    expect(makeLog({ name: 'billing:db' }).level).toBe(levels.error);
+    expect(makeLog({ name: 'app:queries:slow' }).level).toBe(levels.trace);
+    expect(makeLog({ name: 'app:queries' }).level).toBe(levels.info);
+  });
+
+  test('should treat regular expression characters literally', () => {
+    setNamespaces('app.db=debug');
+    expect(makeLog({ name: 'app.db' }).level).toBe(levels.debug);
+    expect(makeLog({ name: 'appXdb' }).level).toBe(levels.info);
+  });
+
+  test('should accept thresholds and expressions as rule levels', () => {
+    setNamespaces('app:db=debug+,app:http=all&~silly');
+    expect(makeLog({ name: 'app:db' }).level).toBe(levels.development);
+    expect(makeLog({ name: 'app:http' }).level).toBe(127);
+  });
+
+  test('should resolve custom levels of the logger', () => {
+    setNamespaces('audit=audit|error');
+    expect(makeLog({ name: 'audit', levels: ['audit'] }).level).toBe(256 | levels.error);
+  });
+
+  test('should re-evaluate existing loggers when the spec changes', () => {
+    const db = makeLog({ name: 'app:db', level: 'warn' });
+    const listener = mock(() => {});
+    db.onLevelChange(listener);
+
+    setNamespaces('app:*=debug');
+    expect(db.level).toBe(levels.debug);
+    expect(listener).toHaveBeenCalledWith({
+      previous: levels.warn,
+      current: levels.debug,
+      added: ['debug'],
+      removed: ['warn'],
+      reason: 'namespace'
+    });
+
+    setNamespaces('app:db=trace');
+    expect(db.level).toBe(levels.trace);
+  });
+
+  test('should restore the own level when no rule matches anymore', () => {
+    const db = makeLog({ name: 'app:db', level: 'warn' });
+    setNamespaces('app:db=debug');
+    setNamespaces('app:http=debug');
+    expect(db.level).toBe(levels.warn);
+  });
+
+  test('should leave unmatched loggers alone', () => {
+    const db = makeLog({ name: 'app:db', level: 'warn' });
+    const listener = mock(() => {});
+    db.onLevelChange(listener);
+    setNamespaces('app:http=debug');
+    db.level = 'error';
+    setNamespaces('');
+    expect(db.level).toBe(levels.error);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should end escalations when a rule applies', () => {
+    const db = makeLog({ name: 'app:db', level: 'info' });
+    db.escalate('trace', { durationMs: 60000 });
+    setNamespaces('app:db=error');
+    expect(db.cancelEscalation()).toBe(false);
+    expect(db.level).toBe(levels.error);
+  });
+
+  test('should not affect unnamed loggers', () => {
+    setNamespaces('*=none');
+    expect(makeLog().level).toBe(levels.info);
+  });
+
+  test('should return the current spec', () => {
+    setNamespaces('app:*=info');
+    expect(getNamespaces()).toBe('app:*=info');
+    setNamespaces();
+    expect(getNamespaces()).toBe('');
+  });
+
+  test('should reject malformed rules and keep the previous spec', () => {
+    setNamespaces('app:*=info');
+    expect(() => setNamespaces('app:db=')).toThrow('Invalid namespace rule "app:db="');
+    expect(() => setNamespaces('-app:db=info')).toThrow('Invalid namespace rule');
+    expect(() => setNamespaces('app=info=debug')).toThrow('Invalid namespace rule');
+    expect(() => setNamespaces(42)).toThrow('Namespace spec must be a string');
+    expect(getNamespaces()).toBe('app:*=info');
+  });
+
+  test('should reject unknown rule levels for strict loggers', () => {
+    setNamespaces('app:db=debgu');
+    expect(() => makeLog({ name: 'app:db', strict: true })).toThrow('Unknown log level "debgu"');
+  });
+
+  test('should update every logger before reporting a strict logger error', () => {
+    const strict = makeLog({ name: 'app:strict', strict: true });
+    const lenient = makeLog({ name: 'app:lenient' });
+    expect(() => setNamespaces('app:*=debgu|warn')).toThrow('Unknown log level "debgu"');
+    expect(strict.level).toBe(levels.info);
+    expect(lenient.level).toBe(levels.info);
+
+    expect(() => setNamespaces('app:strict=debgu,app:lenient=warn')).toThrow('Unknown log level "debgu"');
+    expect(lenient.level).toBe(levels.warn);
+  });
+});
@@ -221,4 +221,24 @@ describe('Pino Integration', () => {
     expect(logOutput[0].method).toBe('GET');
     expect(logOutput[0].path).toBe('/users');
   });
+  
+  test('should pass bound fields as the Pino merge object', () => {
+    const log = makeLog({
+      level: 'all',
+      log: {
+        info: (...args) => {
+          const [msg, ...rest] = args;
+          pinoLogger.info(rest[rest.length - 1] || {}, msg);
+        }
+      }
+    });
+    
+    const reqLog = log.with({ requestId: 'r-1', userId: () => 42 });
+    reqLog.info('Request handled');
+    
+    expect(logOutput.length).toBe(1);
+    expect(logOutput[0].msg).toBe('Request handled');
+    expect(logOutput[0].requestId).toBe('r-1');
+    expect(logOutput[0].userId).toBe(42);
+  });
 });
@@ -0,0 +1,151 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Record mode', () => {
+  test('passes one record per call to custom outputs', () => {
+    const info = mock();
+    const log = makeLog({ records: true, name: 'app:http', log: { info } });
+    const before = Date.now();
+
+    log.info('Request handled', () => 200, { path: '/' });
+
+    expect(info.mock.calls.length).toBe(1);
+    expect(info.mock.calls[0].length).toBe(1);
+    const record = info.mock.calls[0][0];
+    expect(record).toEqual({
+      level: log.levels.info,
+      levelName: 'info',
+      time: record.time,
+      msg: 'Request handled',
+      args: [200, { path: '/' }],
+      fields: {},
+      logger: 'app:http'
+    });
+    expect(record.time >= before && record.time <= Date.now()).toBe(true);
+  });
+
+  test('leaves msg empty when the first argument is not a string', () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+
+    log({ id: 1 }, 'second');
+    const record = info.mock.calls[0][0];
+    expect(record.msg).toBe('');
+    expect(record.args).toEqual([{ id: 1 }, 'second']);
+    expect(record.logger).toBe('');
+  });
+
+  test('moves named template interpolations to fields', () => {
+    const debug = mock();
+    const log = makeLog({ level: 'all', records: true, log: { debug } });
+    const user = { id: 42 };
+
+    log.debug`User ${{ userId: () => user.id }} has ${() => 3} items`;
+    const record = debug.mock.calls[0][0];
+    expect(record.msg).toBe('User 42 has 3 items');
+    expect(record.args).toEqual([]);
+    expect(record.fields).toEqual({ userId: 42 });
+  });
+
+  test('uses the level of other models and custom levels', () => {
+    const notice = mock();
+    const audit = mock();
+    const log = makeLog({ model: 'syslog', level: 'all', levels: ['audit'], records: true, log: { notice, audit } });
+
+    log.notice('Disk almost full');
+    log.audit('Login');
+    expect(notice.mock.calls[0][0].levelName).toBe('notice');
+    expect(notice.mock.calls[0][0].level).toBe(log.levels.notice);
+    expect(audit.mock.calls[0][0].levelName).toBe('audit');
+    expect(audit.mock.calls[0][0].level).toBe(log.levels.audit);
+  });
+
+  test('records the call time for async arguments', async () => {
+    const info = mock();
+    const log = makeLog({ records: true, log: { info } });
+    const before = Date.now();
+
+    await log.info('Loaded', () => new Promise(resolve => setTimeout(() => resolve('data'), 20)));
+    const record = info.mock.calls[0][0];
+    expect(record.args).toEqual(['data']);
+    expect(record.time - before < 20).toBe(true);
+  });
+
+  test('keeps positional arguments for console defaults and without records', () => {
+    const info = mock();
+    const error = mock();
+    const log = makeLog({ log: { info } });
+
+    log.info('Plain', 1);
+    expect(info.mock.calls[0]).toEqual(['Plain', 1]);
+
+    const originalLog = console.log;
+    const consoleLog = mock();
+    console.log = consoleLog;
+    try {
+      makeLog({ records: true, log: { error } }).info('To the console', 2);
+    } finally {
+      console.log = originalLog;
+    }
+    expect(consoleLog.mock.calls[0]).toEqual(['To the console', 2]);
+  });
+
+  test('delivers the same record to several outputs of a level', () => {
+    const first = mock();
+    const second = mock();
+    const log = makeLog({ records: true, log: { info: [first, second] } });
+
+    log.info('Shared');
+    expect(first.mock.calls[0][0]).toBe(second.mock.calls[0][0]);
+  });
+
+  test('passes evaluation reports and slow argument warnings as records', () => {
+    const error = mock();
+    const warn = mock();
+    const log = makeLog({
+      level: 'all',
+      records: true,
+      onEvaluationError: 'report',
+      evaluationBudget: { maxMs: 0 },
+      log: { error, warn, info: mock() }
+    });
+
+    log.info(() => {
+      throw new Error('boom');
+    });
+    const report = error.mock.calls[0][0];
+    expect(report.msg.startsWith('Error evaluating log argument function in info call')).toBe(true);
+    expect(report.args[0].message).toBe('boom');
+
+    const slow = warn.mock.calls.map(([record]) => record).find(record => record.msg.startsWith('Slow log argument'));
+    expect(slow.fields.level).toBe('info');
+    expect(typeof slow.fields.durationMs).toBe('number');
+  });
+
+  test('is inherited by child loggers', () => {
+    const info = mock();
+    const log = makeLog({ records: true, name: 'app', log: { info } });
+
+    log.child('db').info('Connected');
+    expect(info.mock.calls[0][0].msg).toBe('Connected');
+    expect(info.mock.calls[0][0].logger).toBe('app:db');
+  });
+});
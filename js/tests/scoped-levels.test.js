@@ -0,0 +1,182 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn and jest.spyOn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+const spyOn = typeof Bun !== 'undefined' ? jest.spyOn : globalThis.spyOn;
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+describe('Scoped levels', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  test('should use the scoped mask inside withLevel', () => {
+    const log = makeLog({ level: 'info' });
+
+    log.withLevel('debug+', () => {
+      expect(log.shouldLog('debug')).toBe(true);
+      log.debug('inside');
+    });
+    log.debug('outside');
+
+    expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith('inside');
+    expect(log.shouldLog('debug')).toBe(false);
+  });
+
+  test('should replace the mask rather than extend it', () => {
+    const log = makeLog({ level: 'info' });
+    log.withLevel(levels.debug, () => {
+      expect(log.getEnabledLevels()).toEqual(['debug']);
+      expect(log.shouldLog('info')).toBe(false);
+    });
+    expect(log.getEnabledLevels()).toEqual(['info']);
+  });
+
+  test('should leave the global level untouched', () => {
+    const log = makeLog({ level: 'info' });
+    log.withLevel('all', () => {
+      expect(log.level).toBe(levels.info);
+    });
+    expect(log.level).toBe(levels.info);
+  });
+
+  test('should return the result of the scoped function', async () => {
+    const log = makeLog();
+    expect(log.withLevel('debug', () => 42)).toBe(42);
+    expect(await log.withLevel('debug', async () => 'async result')).toBe('async result');
+  });
+
+  test('should follow awaited continuations', async () => {
+    const log = makeLog({ level: 'info' });
+    const lazyValue = mock(() => 'evaluated');
+
+    await log.withLevel('debug+', async () => {
+      await tick();
+      log.debug('after await', lazyValue);
+    });
+    log.debug('outside', lazyValue);
+
+    expect(lazyValue).toHaveBeenCalledTimes(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith('after await', 'evaluated');
+  });
+
+  test('should isolate concurrent scopes', async () => {
+    const log = makeLog({ level: 'info' });
+    const seen = {};
+
+    const job = (name, level) => log.withLevel(level, async () => {
+      await tick();
+      seen[name] = log.getEnabledLevels();
+      await tick();
+      log.debug(`${name} debug`);
+    });
+
+    await Promise.all([job('debugging', 'debug+'), job('quiet', 'error'), job('default', log.level)]);
+
+    expect(seen.debugging).toEqual(['fatal', 'error', 'warn', 'info', 'debug']);
+    expect(seen.quiet).toEqual(['error']);
+    expect(seen.default).toEqual(['info']);
+    expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith('debugging debug');
+  });
+
+  test('should let inner scopes override outer ones', () => {
+    const log = makeLog({ level: 'info' });
+    log.withLevel('debug', () => {
+      log.withLevel('trace', () => {
+        expect(log.getEnabledLevels()).toEqual(['trace']);
+      });
+      expect(log.getEnabledLevels()).toEqual(['debug']);
+    });
+  });
+
+  test('should restore the global mask after the scope throws', () => {
+    const log = makeLog({ level: 'info' });
+    expect(() => log.withLevel('all', () => {
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(log.shouldLog('debug')).toBe(false);
+  });
+
+  test('should see global changes outside the scope only', () => {
+    const log = makeLog({ level: 'info' });
+    log.withLevel('debug', () => {
+      log.level = 'error';
+      expect(log.getEnabledLevels()).toEqual(['debug']);
+    });
+    expect(log.getEnabledLevels()).toEqual(['error']);
+  });
+
+  test('should keep scopes separate between loggers', () => {
+    const first = makeLog({ level: 'info' });
+    const second = makeLog({ level: 'info' });
+    first.withLevel('debug', () => {
+      expect(first.shouldLog('debug')).toBe(true);
+      expect(second.shouldLog('debug')).toBe(false);
+    });
+  });
+
+  test('should reject unknown scoped levels in strict mode', () => {
+    const log = makeLog({ strict: true });
+    expect(() => log.withLevel('debgu', () => {})).toThrow('Unknown log level "debgu"');
+  });
+
+  test('should reject a missing function', () => {
+    const log = makeLog();
+    expect(() => log.withLevel('debug')).toThrow('withLevel expects a function to run');
+  });
+});
+
+describe('Async context store', () => {
+  test('should use AsyncLocalStorage where the runtime provides it', async () => {
+    const { createContextStore, hasAsyncContext } = await import('../src/async-context.js');
+    const store = createContextStore();
+    expect(hasAsyncContext()).toBe(true);
+    const seen = await store.run('scope', async () => {
+      await tick();
+      return store.getStore();
+    });
+    expect(seen).toBe('scope');
+  });
+
+  test('should fall back to a synchronous store without process.getBuiltinModule', async () => {
+    const getBuiltinModule = process.getBuiltinModule;
+    process.getBuiltinModule = undefined;
+    try {
+      const { createContextStore, hasAsyncContext } = await import('../src/async-context.js?without-builtins');
+      const store = createContextStore();
+      expect(hasAsyncContext()).toBe(false);
+      expect(store.run('scope', () => store.getStore())).toBe('scope');
+      expect(store.getStore()).toBeUndefined();
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+    }
+  });
+});
@@ -0,0 +1,121 @@
+/* eslint-env node */
+/* global describe, test, expect, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels, installSignalControl } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Signal control', () => {
+  let uninstall;
+
+  afterEach(() => {
+    if (uninstall) uninstall();
+    uninstall = undefined;
+  });
+
+  const makeLogger = (level = 'production') => {
+    const warn = mock(() => {});
+    const log = makeLog({ level, log: { warn } });
+    return { log, warn };
+  };
+
+  test('rotates through the default cycle on SIGUSR2', () => {
+    const { log } = makeLogger();
+    uninstall = installSignalControl(log);
+
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.development);
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.all);
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.production);
+  });
+
+  test('logs each transition at warn', () => {
+    const { log, warn } = makeLogger();
+    uninstall = installSignalControl(log);
+
+    process.emit('SIGUSR2');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toBe('Log level changed from production to development (SIGUSR2)');
+  });
+
+  test('logs transitions to levels without warn before switching', () => {
+    const { log, warn } = makeLogger('all');
+    uninstall = installSignalControl(log, { cycle: ['all', 'none'] });
+
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.none);
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.all);
+    expect(warn.mock.calls.map(([message]) => message)).toEqual([
+      'Log level changed from all to none (SIGUSR2)',
+      'Log level changed from none to all (SIGUSR2)'
+    ]);
+  });
+
+  test('uses a custom signal and cycle', () => {
+    const { log, warn } = makeLogger('warn');
+    uninstall = installSignalControl(log, { signal: 'SIGUSR1', cycle: ['warn', 'warn+|debug'] });
+
+    process.emit('SIGUSR1');
+    expect(log.level).toBe(levels.fatal | levels.error | levels.warn | levels.debug);
+    expect(warn.mock.calls[0][0]).toBe('Log level changed from warn to warn+|debug (SIGUSR1)');
+    process.emit('SIGUSR1');
+    expect(log.level).toBe(levels.warn);
+  });
+
+  test('starts at the beginning of the cycle when the level is not part of it', () => {
+    const { log, warn } = makeLogger('error|warn|info');
+    uninstall = installSignalControl(log);
+
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.production);
+    expect(warn.mock.calls[0][0]).toBe('Log level changed from error|warn|info to production (SIGUSR2)');
+  });
+
+  test('uninstalls its handler', () => {
+    const { log } = makeLogger();
+    const listeners = process.listenerCount('SIGUSR2');
+    uninstall = installSignalControl(log);
+    expect(process.listenerCount('SIGUSR2')).toBe(listeners + 1);
+
+    uninstall();
+    uninstall();
+    expect(process.listenerCount('SIGUSR2')).toBe(listeners);
+    process.emit('SIGUSR2');
+    expect(log.level).toBe(levels.production);
+  });
+
+  test('notifies level change listeners', () => {
+    const { log } = makeLogger();
+    const listener = mock(() => {});
+    log.onLevelChange(listener);
+    uninstall = installSignalControl(log);
+
+    process.emit('SIGUSR2');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].current).toBe(levels.development);
+  });
+
+  test('rejects an empty cycle and unknown levels', () => {
+    const { log } = makeLogger();
+    expect(() => installSignalControl(log, { cycle: [] })).toThrow(TypeError);
+    expect(() => installSignalControl(log, { cycle: ['info', 'loud'] })).toThrow('Unknown log level "loud"');
+  });
+});
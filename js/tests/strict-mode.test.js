@@ -0,0 +1,91 @@
+/* eslint-env node */
+/* global describe, test, expect */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { levels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+
+describe('Strict mode', () => {
+  const validNames = 'Valid levels: fatal, error, warn, info, debug, verbose, trace, silly. ' +
+    'Valid presets: none, all, production, development';
+
+  test('should reject unknown level names in the constructor', () => {
+    expect(() => makeLog({ strict: true, level: 'debgu' }))
+      .toThrow(`Unknown log level "debgu". ${validNames}`);
+  });
+
+  test('should list custom levels and presets in the error', () => {
+    expect(() => makeLog({ strict: true, levels: ['audit'], presets: { ops: 6 }, level: 'audti' }))
+      .toThrow('Valid levels: fatal, error, warn, info, debug, verbose, trace, silly, audit. ' +
+        'Valid presets: none, all, production, development, ops');
+  });
+
+  test('should accept valid levels, presets, numbers and expressions', () => {
+    expect(makeLog({ strict: true, level: 'debug' }).level).toBe(levels.debug);
+    expect(makeLog({ strict: true, level: 'production' }).level).toBe(levels.production);
+    expect(makeLog({ strict: true, level: '12' }).level).toBe(12);
+    expect(makeLog({ strict: true, level: 'warn+|trace' }).level).toBe(levels.production | levels.trace);
+  });
+
+  test('should default to info when no level is given', () => {
+    expect(makeLog({ strict: true }).level).toBe(levels.info);
+  });
+
+  test('should name the unknown parts of expressions', () => {
+    expect(() => makeLog({ strict: true, level: 'error|verbos|debgu' }))
+      .toThrow('Unknown log level "verbos", "debgu" in "error|verbos|debgu"');
+    expect(() => makeLog({ strict: true, level: 'verbos+' }))
+      .toThrow('Unknown log level "verbos" in "verbos+"');
+  });
+
+  test('should reject inherited object properties as level names', () => {
+    expect(() => makeLog({ strict: true, level: 'toString' })).toThrow('Unknown log level "toString"');
+  });
+
+  test('should reject non-string, non-number levels', () => {
+    expect(() => makeLog({ strict: true, level: null })).toThrow('Invalid log level: null');
+  });
+
+  test('should reject unknown levels in the level setter', () => {
+    const log = makeLog({ strict: true, level: 'warn' });
+    expect(() => { log.level = 'eror'; }).toThrow('Unknown log level "eror"');
+    expect(log.level).toBe(levels.warn);
+  });
+
+  test('should reject unknown levels in enableLevel and disableLevel', () => {
+    const log = makeLog({ strict: true, level: 'warn' });
+    expect(() => log.enableLevel('verbos')).toThrow('Unknown log level "verbos"');
+    expect(() => log.disableLevel('wran')).toThrow('Unknown log level "wran"');
+    expect(log.level).toBe(levels.warn);
+  });
+
+  test('should reject unknown levels in shouldLog', () => {
+    const log = makeLog({ strict: true, level: 'warn' });
+    expect(() => log.shouldLog('warning')).toThrow('Unknown log level "warning"');
+    expect(log.shouldLog('warn')).toBe(true);
+    expect(log.shouldLog(levels.debug)).toBe(false);
+  });
+
+  test('should keep non-strict loggers lenient', () => {
+    const log = makeLog({ level: 'debgu' });
+    expect(log.level).toBe(levels.info);
+    log.enableLevel('verbos');
+    expect(log.level).toBe(levels.info);
+    expect(log.shouldLog('warning')).toBe(false);
+  });
+});
@@ -0,0 +1,217 @@
+/* eslint-env node */
+/* global describe, test, expect */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import { stripLogCalls, esbuildStripPlugin, babelStripPlugin } from '../src/strip.js';
+import * as runtimeEntry from '../src/index.js';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { transformSync } from '@babel/core';
+import * as esbuild from 'esbuild';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+}
+
+const fixture = fileURLToPath(new URL('./fixtures/strip-input.js', import.meta.url));
+const source = readFileSync(fixture, 'utf8');
+
+// Calls in the fixture that can never be enabled when a build allows info and above
+const infoStripped = [
+  { logger: 'log', method: 'debug', line: 11 },
+  { logger: 'log', method: 'trace', line: 13 },
+  { logger: 'log', method: 'verbose', line: 15 },
+  { logger: 'log', method: 'silly', line: 19 },
+  { logger: 'log', method: 'debug', line: 22 },
+  { logger: 'log', method: 'trace', line: 24 }
+];
+
+// Run a bundle built from the fixture and collect what it logs
+const runBundle = async (code) => {
+  const dir = mkdtempSync(join(tmpdir(), 'log-lazy-strip-'));
+  const file = join(dir, 'bundle.mjs');
+  writeFileSync(file, code);
+  globalThis.stripOutput = [];
+  try {
+    await import(pathToFileURL(file).href);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  return globalThis.stripOutput;
+};
+
+describe('Build-time stripping of disabled log calls', () => {
+  test('is kept out of the runtime entry', () => {
+    expect(runtimeEntry.stripLogCalls).toBeUndefined();
+    expect(runtimeEntry.esbuildStripPlugin).toBeUndefined();
+    expect(runtimeEntry.babelStripPlugin).toBeUndefined();
+  });
+
+  describe('stripLogCalls', () => {
+    test('strips calls for levels outside the compile-time mask', () => {
+      const { code, stripped } = stripLogCalls(source, { level: 'info+', loggers: ['log'] });
+      expect(stripped).toEqual(infoStripped);
+      expect(code.includes('Debugging')).toBe(false);
+      expect(code.includes('user.name')).toBe(false);
+      expect(code.includes('nested')).toBe(false);
+      expect(code).toContain("const status = void 0 || 'stripped';");
+      expect(code).toContain("log.info('Started', () => user.id);");
+      expect(code).toContain('log.warn`Slow request for ${{ id: user.id }}`;');
+      expect(code).toContain("log.error('Kept in the build');");
+    });
+
+    test('leaves strings, comments and regular expressions alone', () => {
+      const { code } = stripLogCalls(source, { level: 'info+', loggers: ['log'] });
+      expect(code).toContain("\"log.debug('inside a string')\"; // log.debug('inside a comment')");
+    });
+
+    test('keeps everything when all levels can be enabled', () => {
+      const { code, stripped } = stripLogCalls(source, { level: 'all', loggers: ['log'] });
+      expect(stripped).toEqual([]);
+      expect(code).toBe(source);
+    });
+
+    test('accepts level names and expressions', () => {
+      const { stripped } = stripLogCalls(source, { level: 'production', loggers: ['log'] });
+      expect(stripped.map(call => call.method)).toEqual(['debug', 'info', 'trace', 'verbose', 'info', 'silly', 'debug', 'trace']);
+      expect(stripLogCalls(source, { level: 'all,-trace', loggers: ['log'] }).stripped.map(call => call.method)).toEqual(['trace', 'trace']);
+    });
+
+    test('strips only calls on the configured logger names', () => {
+      const code = 'this.log.debug(1); logger.debug(2); app.logger.debug(3); new log.debug(4); audit.debug(5);';
+      expect(stripLogCalls(code, { level: 'production', loggers: ['log', 'logger'] }).code)
+        .toBe('this.log.debug(1); void 0; app.logger.debug(3); new log.debug(4); audit.debug(5);');
+      expect(stripLogCalls(code, { level: 'production', loggers: ['audit'] }).code)
+        .toBe('this.log.debug(1); logger.debug(2); app.logger.debug(3); new log.debug(4); void 0;');
+    });
+
+    test('keeps calls of loggers that are not listed', () => {
+      const code = "import pino from 'pino';\nconst logger = pino();\nlogger.info('server started');\nlog.info(1);";
+      expect(stripLogCalls(code, { level: 'production', loggers: ['log'] }).code)
+        .toBe("import pino from 'pino';\nconst logger = pino();\nlogger.info('server started');\nvoid 0;");
+    });
+
+    test('tells divisions after increments from regular expressions after blocks', () => {
+      const code = 'let i = 0;\nconst half = i++ / 2;\nlog.debug(\'x\');\nconst r = i-- / 2 + i / 3; log.debug(1);\n' +
+        'if (r) {}\n/log.debug(2)/.test(s);\nconst o = { a: 1 } / 2; log.debug(3);';
+      expect(stripLogCalls(code, { level: 'none', loggers: ['log'] }).code)
+        .toBe('let i = 0;\nconst half = i++ / 2;\nvoid 0;\nconst r = i-- / 2 + i / 3; void 0;\n' +
+          'if (r) {}\n/log.debug(2)/.test(s);\nconst o = { a: 1 } / 2; void 0;');
+    });
+
+    test('keeps calls whose result is used further', () => {
+      const code = 'log.debug(1).then(done); log.debug(2)[0]; log.debug(3)(); log.debug(4);';
+      expect(stripLogCalls(code, { level: 'none', loggers: ['log'] }).code)
+        .toBe('log.debug(1).then(done); log.debug(2)[0]; log.debug(3)(); void 0;');
+    });
+
+    test('supports syslog and custom level names', () => {
+      const code = 'log.notice(1); log.informational(2); log.debug(3); log.err(4); log.audit(5);';
+      expect(stripLogCalls(code, { level: 'production', model: 'syslog', levels: ['audit'], loggers: ['log'] }).code)
+        .toBe('void 0; void 0; void 0; log.err(4); void 0;');
+      expect(stripLogCalls(code, { level: 'production,audit', model: 'syslog', levels: ['audit'], loggers: ['log'] }).code)
+        .toBe('void 0; void 0; void 0; log.err(4); log.audit(5);');
+    });
+
+    test('handles nested templates and hashbang lines', () => {
+      const code = '#!/usr/bin/env node\nlog.debug(`a ${b(`c ${d}`)}`);\nlog.trace`x ${`y ${z}`}`;\nlog.info(1);\n';
+      expect(stripLogCalls(code, { level: 'production,info', loggers: ['log'] }).code)
+        .toBe('#!/usr/bin/env node\nvoid 0;\nvoid 0;\nlog.info(1);\n');
+    });
+
+    test('requires the logger names', () => {
+      expect(() => stripLogCalls(source, { level: 'production' })).toThrow('needs the loggers option');
+      expect(() => stripLogCalls(source, { level: 'production', loggers: [] })).toThrow(TypeError);
+      expect(() => esbuildStripPlugin({ level: 'production' })).toThrow(TypeError);
+    });
+
+    test('rejects missing or unknown levels', () => {
+      expect(() => stripLogCalls(source, { loggers: ['log'] })).toThrow(TypeError);
+      expect(() => stripLogCalls(source, { level: 'nope', loggers: ['log'] })).toThrow('Unknown log level "nope"');
+      expect(() => stripLogCalls(source, { level: 'production', model: 'nope', loggers: ['log'] })).toThrow('Unknown level model "nope"');
+    });
+  });
+
+  describe('esbuild plugin', () => {
+    const build = (options) => esbuild.build({
+      entryPoints: [fixture],
+      bundle: true,
+      write: false,
+      format: 'esm',
+      platform: 'node',
+      plugins: [esbuildStripPlugin(options)]
+    });
+
+    test('removes stripped calls and their thunks from the bundle', async () => {
+      const result = await build({ level: 'info+', loggers: ['log'] });
+      const code = result.outputFiles[0].text;
+      expect(code.includes('Debugging')).toBe(false);
+      expect(code.includes('user.name')).toBe(false);
+      expect(code).toContain('Kept in the build');
+      const output = await runBundle(code);
+      expect(output.map(([level]) => level)).toEqual(['info', 'warn', 'error', 'info']);
+    });
+
+    test('rejects invalid options when the plugin is created', () => {
+      expect(() => esbuildStripPlugin({ level: 'nope', loggers: ['log'] })).toThrow('Unknown log level "nope"');
+    });
+  });
+
+  if (typeof Bun !== 'undefined') {
+    describe('Bun.build plugin', () => {
+      test('removes stripped calls and their thunks from the bundle', async () => {
+        const result = await Bun.build({
+          entrypoints: [fixture],
+          target: 'node',
+          plugins: [esbuildStripPlugin({ level: 'info+', loggers: ['log'] })]
+        });
+        expect(result.success).toBe(true);
+        const code = await result.outputs[0].text();
+        expect(code.includes('Debugging')).toBe(false);
+        expect(code.includes('user.name')).toBe(false);
+        expect(code).toContain('Kept in the build');
+      });
+    });
+  }
+
+  describe('Babel plugin', () => {
+    const transform = (code, options) => transformSync(code, {
+      babelrc: false,
+      configFile: false,
+      plugins: [[babelStripPlugin, options]]
+    }).code;
+
+    test('removes stripped call statements and replaces stripped expressions', () => {
+      const code = transform(source, { level: 'info+', loggers: ['log'] });
+      expect(code.includes('Debugging')).toBe(false);
+      expect(code.includes('user.name')).toBe(false);
+      expect(code.includes('nested')).toBe(false);
+      expect(code.includes('log.silly')).toBe(false);
+      expect(code).toContain("const status = void 0 || 'stripped';");
+      expect(code).toContain("log.info('Started', () => user.id);");
+      expect(code).toContain("log.error('Kept in the build');");
+      expect(code).toContain("\"log.debug('inside a string')\"");
+    });
+
+    test('keeps calls whose result is used further', () => {
+      const code = 'log.debug(async () => x).then(done);\nlog.debug(2)[0];\nlog.debug(3)();\nlog.debug`t`.length;\nlog.debug(4)?.then(done);\nconst p = log.debug(5);';
+      expect(transform(code, { level: 'none', loggers: ['log'] }))
+        .toBe('log.debug(async () => x).then(done);\nlog.debug(2)[0];\nlog.debug(3)();\nlog.debug`t`.length;\nlog.debug(4)?.then(done);\nconst p = void 0;');
+    });
+
+    test('strips the same calls as stripLogCalls', () => {
+      const code = 'log.debug(1); this.log.debug(2); logger.trace`x`; log["debug"](3); audit.debug(4);';
+      expect(transform(code, { level: 'production', loggers: ['log', 'logger', 'audit'] }))
+        .toBe('this.log.debug(2);\nlog["debug"](3);');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/* eslint-env node */
+/* global describe, test, expect, beforeEach, afterEach, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { syslogLevels } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+  globalThis.spyOn = testModule.spyOn;
+  globalThis.beforeEach = testModule.beforeEach;
+  globalThis.afterEach = testModule.afterEach;
+}
+
+// In Bun, use jest.fn and jest.spyOn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+const spyOn = typeof Bun !== 'undefined' ? jest.spyOn : globalThis.spyOn;
+
+describe('Syslog level model', () => {
+  let consoleErrorSpy;
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = spyOn(console, 'error').mockImplementation(() => {});
+    consoleLogSpy = spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleLogSpy.mockRestore();
+  });
+
+  test('defines the RFC 5424 severities ordered from emergency to debug', () => {
+    const log = makeLog({ model: 'syslog', level: 'all' });
+
+    expect(log.levels.emergency).toBe(1);
+    expect(log.levels.critical).toBe(4);
+    expect(log.levels.notice).toBe(32);
+    expect(log.levels.debug).toBe(128);
+    expect(log.levelNames[32]).toBe('notice');
+    expect(log.getEnabledLevels()).toEqual([
+      'emergency', 'alert', 'critical', 'error', 'warn', 'notice', 'info', 'debug'
+    ]);
+    expect(syslogLevels.all).toBe(255);
+  });
+
+  test('has log methods for every severity and none of the classic-only levels', () => {
+    const log = makeLog({ model: 'syslog' });
+
+    ['emergency', 'alert', 'critical', 'error', 'warn', 'notice', 'info', 'debug'].forEach(levelName => {
+      expect(typeof log[levelName]).toBe('function');
+    });
+    expect(log.fatal).toBeUndefined();
+    expect(log.silly).toBeUndefined();
+  });
+
+  test('accepts aliases as methods and in level strings', () => {
+    const warn = mock(() => {});
+    const log = makeLog({ model: 'syslog', level: 'err|warning', log: { warn } });
+
+    expect(log.level).toBe(syslogLevels.error | syslogLevels.warn);
+    expect(log.warning).toBe(log.warn);
+    expect(log.err).toBe(log.error);
+    expect(log.shouldLog('crit')).toBe(false);
+    expect(log.shouldLog('warning')).toBe(true);
+
+    log.warning('Disk almost full');
+    expect(warn).toHaveBeenCalledWith('Disk almost full');
+    expect(makeLog({ model: 'syslog', level: 'crit+' }).level).toBe(
+      syslogLevels.emergency | syslogLevels.alert | syslogLevels.critical
+    );
+  });
+
+  test('uses the production preset by default through warn', () => {
+    const log = makeLog({ model: 'syslog', level: 'production' });
+
+    expect(log.getEnabledLevels()).toEqual(['emergency', 'alert', 'critical', 'error', 'warn']);
+    expect(makeLog({ model: 'syslog', level: 'development' }).level).toBe(syslogLevels.all);
+  });
+
+  test('writes to the output of the classic level when there is none for the syslog level', () => {
+    const fatal = mock(() => {});
+    const info = mock(() => {});
+    const notice = mock(() => {});
+    const log = makeLog({ model: 'syslog', level: 'all', log: { fatal, info } });
+
+    log.emergency('down');
+    log.alert('paging');
+    log.critical('disk failure');
+    log.notice('config reloaded');
+    expect(fatal.mock.calls.map(call => call[0])).toEqual(['down', 'paging', 'disk failure']);
+    expect(info).toHaveBeenCalledWith('config reloaded');
+
+    const withNotice = makeLog({ model: 'syslog', level: 'all', log: { info, notice } });
+    withNotice.notice('own output');
+    expect(notice).toHaveBeenCalledWith('own output');
+  });
+
+  test('uses the console method of the classic level by default', () => {
+    const log = makeLog({ model: 'syslog', level: 'all' });
+
+    log.critical('to stderr');
+    log.notice('to stdout');
+    expect(consoleErrorSpy).toHaveBeenCalledWith('to stderr');
+    expect(consoleLogSpy).toHaveBeenCalledWith('to stdout');
+  });
+
+  test('uses syslog names in JSON records', () => {
+    const info = mock(() => {});
+    const log = makeLog({ model: 'syslog', level: 'all', format: 'json', log: { info } });
+
+    log.notice('Started');
+    expect(JSON.parse(info.mock.calls[0][0]).level).toBe('notice');
+  });
+
+  test('supports custom levels and child loggers', () => {
+    const log = makeLog({ model: 'syslog', levels: ['audit'], level: 'all' });
+
+    expect(log.levels.audit).toBe(256);
+    expect(log.levels.all).toBe(511);
+    expect(typeof log.child('db').notice).toBe('function');
+    expect(() => makeLog({ model: 'syslog', levels: ['warning'] })).toThrow('conflicts with an existing name');
+  });
+
+  test('reports aliases separately from presets in strict errors', () => {
+    expect(() => makeLog({ model: 'syslog', level: 'fatal', strict: true })).toThrow(
+      'Unknown log level "fatal". Valid levels: emergency, alert, critical, error, warn, notice, info, debug. Valid presets: none, all, production, development'
+    );
+  });
+
+  test('rejects unknown models', () => {
+    expect(() => makeLog({ model: 'log4j' })).toThrow('Unknown level model "log4j". Valid models: classic, syslog');
+  });
+});
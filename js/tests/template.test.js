@@ -0,0 +1,106 @@
+/* eslint-env node */
+/* global describe, test, expect, jest */
+
+// For Bun: test functions are globals - use them directly
+// For Node/Deno: import from test-setup.js
+
+import makeLog, { lazy } from '../src/index.js';
+
+// Runtime detection and setup
+if (typeof Bun === 'undefined') {
+  // Only import for non-Bun environments
+  const testModule = await import('./test-setup.js');
+  globalThis.describe = testModule.describe;
+  globalThis.test = testModule.test;
+  globalThis.expect = testModule.expect;
+  globalThis.mock = testModule.mock;
+}
+
+// In Bun, use jest.fn for mocking
+const mock = typeof Bun !== 'undefined' ? jest.fn : globalThis.mock;
+
+describe('Tagged template calls', () => {
+  const user = { id: 42 };
+  const items = [1, 2, 3];
+
+  test('builds the message from interpolated thunks and values', () => {
+    const debug = mock(() => {});
+    const log = makeLog({ level: 'all', log: { debug } });
+
+    log.debug`User ${() => user.id} has ${() => items.length} items in ${'cart'}`;
+    expect(debug).toHaveBeenCalledWith('User 42 has 3 items in cart');
+  });
+
+  test('does not run interpolations when the level is disabled', () => {
+    const debug = mock(() => {});
+    const thunk = mock(() => user.id);
+    const log = makeLog({ level: 'info', log: { debug } });
+
+    expect(log.debug`User ${thunk}`).toBeUndefined();
+    expect(thunk).not.toHaveBeenCalled();
+    expect(debug).not.toHaveBeenCalled();
+  });
+
+  test('works with the log function itself, every level and custom levels', () => {
+    const info = mock(() => {});
+    const silly = mock(() => {});
+    const audit = mock(() => {});
+    const log = makeLog({ level: 'all', levels: ['audit'], log: { info, silly, audit } });
+
+    log`plain ${() => 1}`;
+    log.silly`silly ${() => 2}`;
+    log.audit`audit ${() => 3}`;
+    expect(info).toHaveBeenCalledWith('plain 1');
+    expect(silly).toHaveBeenCalledWith('silly 2');
+    expect(audit).toHaveBeenCalledWith('audit 3');
+  });
+
+  test('passes named interpolations as fields', () => {
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info } });
+
+    log.info`User ${{ userId: () => user.id }} has ${{ count: items.length }} items`;
+    expect(info).toHaveBeenCalledWith('User 42 has 3 items', { userId: 42, count: 3 });
+  });
+
+  test('puts fields next to the message in JSON records', () => {
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', format: 'json', log: { info } });
+
+    log.info`Loaded ${{ rows: () => 3 }} rows`;
+    const record = JSON.parse(info.mock.calls[0][0]);
+    expect(record.msg).toBe('Loaded 3 rows');
+    expect(record.rows).toBe(3);
+    expect(record.args).toBeUndefined();
+  });
+
+  test('shows objects as JSON and errors by their message', () => {
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info } });
+    const circular = { name: 'loop' };
+    circular.self = circular;
+
+    log.info`Config ${{ a: 1, b: 2 }}, ${() => new Error('boom')}, ${null}, ${circular}`;
+    expect(info).toHaveBeenCalledWith('Config {"a":1,"b":2}, Error: boom, null, [object Object]');
+  });
+
+  test('logs placeholders for interpolations that throw', () => {
+    const info = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info } });
+
+    log.info`Value ${() => { throw new Error('boom'); }}`;
+    expect(info).toHaveBeenCalledWith('Value [Error evaluating log argument function: boom]');
+  });
+
+  test('runs each interpolation once across outputs', () => {
+    const compute = mock(() => 'state');
+    const first = mock(() => {});
+    const second = mock(() => {});
+    const log = makeLog({ level: 'all', log: { info: [first, second] } });
+
+    log.info`State ${compute} and again ${compute} and ${lazy(compute)}`;
+    expect(compute.mock.calls.length).toBe(2);
+    expect(first).toHaveBeenCalledWith('State state and again state and state');
+    expect(second).toHaveBeenCalledWith('State state and again state and state');
+  });
+});
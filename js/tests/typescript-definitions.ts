@@ -1,8 +1,10 @@
 // TypeScript definitions test
 // This file verifies that TypeScript definitions work correctly
 
-import makeLog, { levels, levelNames, defaultLog, log } from '../index';
-import type { LogFunction, LogLevels, LogOptions } from '../index';
+import makeLog, { levels, levelNames, defaultLog, log, getLevelOrDefault, setNamespaces, getNamespaces, installSignalControl, watchLevelConfig, syslogLevels, lazy, runWithLogContext } from '../index';
+import { stripLogCalls, esbuildStripPlugin, babelStripPlugin } from '../strip';
+import type { EvaluationBudget, EvaluationErrorInfo, LazyValue, LevelChange, LogFunction, LogLevels, LevelConfigOptions, LogRecord, LogOptions, SignalControlOptions, SyslogLevels, SyslogLogFunction } from '../index';
+import type { StripOptions, StrippedLogCall } from '../strip';
 
 // Test basic import and usage
 const logger: LogFunction = makeLog();
@@ -45,6 +47,38 @@ customLogger.enableLevel('debug');
 customLogger.disableLevel('trace');
 const enabledLevels: string[] = customLogger.getEnabledLevels();
 
+// Test level change subscriptions
+const unsubscribe: () => void = customLogger.onLevelChange((change: LevelChange) => {
+  const previousMask: number = change.previous;
+  const currentMask: number = change.current;
+  const addedNames: string[] = change.added;
+  const removedNames: string[] = change.removed;
+  const reason: 'set' | 'enable' | 'disable' | 'escalate' | 'revert' | 'namespace' | 'inherit' = change.reason;
+});
+unsubscribe();
+
+// Test environment configuration and formats
+const jsonLogger: LogFunction = makeLog({ format: 'json' });
+const envFreeLogger: LogFunction = makeLog({ env: false, format: 'text' });
+
+// Test namespaces
+const dbLogger: LogFunction = makeLog({ name: 'app:db' });
+const loggerName: string = dbLogger.name;
+setNamespaces('app:*=info,app:db=debug,-app:http');
+const namespaceSpec: string = getNamespaces();
+
+// Test child loggers
+const childLogger: LogFunction = dbLogger.child('queries');
+const overriddenChild: LogFunction = dbLogger.child('slow', { level: 'trace' });
+
+// Test escalation
+customLogger.escalate('trace+', { durationMs: 15 * 60 * 1000 });
+const wasEscalated: boolean = customLogger.cancelEscalation();
+
+// Test scoped levels
+const scopedResult: number = customLogger.withLevel('debug+', () => 42);
+const scopedPromise: Promise<string> = customLogger.withLevel(levels.all, async () => 'done');
+
 // Test levels constant
 const levelNone: 0 = levels.none;
 const levelFatal: 1 = levels.fatal;
@@ -73,6 +107,130 @@ const numericLogger: LogFunction = makeLog({ level: 15 });
 // Test with string level
 const stringLogger: LogFunction = makeLog({ level: 'error' });
 
+// Test custom levels
+const auditLogger = makeLog({
+  levels: ['audit', 'security'],
+  log: {
+    audit: (...args: any[]) => console.log('[AUDIT]', ...args),
+  }
+});
+auditLogger.audit('User signed in');
+auditLogger.security(() => 'Password changed');
+auditLogger.info('Built-in methods remain available');
+const baseAuditLogger: LogFunction = auditLogger;
+const auditChild = auditLogger.child('billing');
+auditChild.audit('Custom levels are kept');
+
+// Test level expressions
+const expressionMask: number = getLevelOrDefault('all&~silly', levels);
+const thresholdMask: number = getLevelOrDefault('warn+', levels, levels.info);
+const expressionLogger: LogFunction = makeLog({ level: 'development,-debug' });
+
+// Test strict mode
+const strictLogger: LogFunction = makeLog({ level: 'warn+', strict: true });
+
+// Test signal control
+const signalOptions: SignalControlOptions = { signal: 'SIGUSR1', cycle: ['warn+', levels.all] };
+const uninstallSignalControl: () => void = installSignalControl(logger, signalOptions);
+uninstallSignalControl();
+
+// Test level config files
+const levelConfigOptions: LevelConfigOptions = { debounceMs: 50, log: logger };
+const stopWatching: () => void = watchLevelConfig('./levels.json', [logger, dbLogger], levelConfigOptions);
+stopWatching();
+watchLevelConfig('./levels.json', logger)();
+
+// Test the syslog level model
+const syslogLogger: SyslogLogFunction = makeLog({ model: 'syslog', level: 'warning+' });
+syslogLogger.emergency('System is unusable');
+syslogLogger.crit('Critical condition');
+syslogLogger.notice('Normal but significant');
+syslogLogger.warning('Alias of warn');
+const noticeMask: 32 = syslogLevels.notice;
+const syslogLevelTable: SyslogLevels = syslogLevels;
+const syslogAuditLogger = makeLog({ model: 'syslog', levels: ['audit'], log: { emergency: console.error } });
+syslogAuditLogger.audit('Custom levels work with the syslog model');
+installSignalControl(syslogLogger)();
+
+// Test async lazy arguments
+const asyncLogger: LogFunction = makeLog({ asyncTimeoutMs: 1000 });
+const pendingWrite: void | Promise<void> = asyncLogger.debug('State:', async () => ({ ready: true }));
+Promise.resolve(asyncLogger.info('Count:', Promise.resolve(42))).then(() => undefined);
+
+// Test deep resolution of nested thunks
+const deepLogger: LogFunction = makeLog({ deep: true });
+deepLogger.debug('Fetching user:', () => ({ userId: 1, systemState: () => ({ ok: true }) }));
+const shallowDeepLogger: LogFunction = makeLog({ deep: { maxDepth: 3 } });
+
+// Test memoized lazy values and multiple outputs
+const lazyState: LazyValue<{ heap: number }> = lazy(() => ({ heap: 1 }));
+const heap: number = lazyState().heap;
+const fannedOutLogger: LogFunction = makeLog({ log: { info: [console.log, (...args: any[]) => console.error(...args)] } });
+fannedOutLogger.info('State:', lazyState);
+
+// Test tagged template calls
+const templateUser = { id: 1 };
+logger.debug`User ${() => templateUser.id} signed in`;
+logger`Default level ${{ userId: () => templateUser.id }}`;
+auditLogger.audit`Audit ${() => 'entry'}`;
+
+// Test evaluation error policies
+const reportingLogger: LogFunction = makeLog({ onEvaluationError: 'report' });
+const rethrowingLogger: LogFunction = makeLog({ onEvaluationError: 'rethrow' });
+const handlingLogger: LogFunction = makeLog({
+  onEvaluationError: (error: unknown, info: EvaluationErrorInfo) => `[${info.level} failed at ${info.callsite}: ${String(error)}]`
+});
+
+// Test evaluation budgets
+const budget: EvaluationBudget = { maxMs: 5, skipAfter: 3 };
+const budgetedLogger: LogFunction = makeLog({ evaluationBudget: budget });
+const reportOnlyLogger: LogFunction = makeLog({ evaluationBudget: { maxMs: 10 } });
+
+// Test level guards
+const debugEnabled: boolean = logger.debug.enabled;
+const isDebugEnabled: boolean = logger.isDebugEnabled;
+const isSillyEnabled: boolean = logger.isSillyEnabled;
+const isAuditEnabled: boolean = auditLogger.isAuditEnabled && auditLogger.audit.enabled;
+const isNoticeEnabled: boolean = syslogLogger.isNoticeEnabled;
+const diagnostics: string | undefined = logger.when('debug', () => 'details');
+// logger.isDebugEnabled = true; // Error: Cannot assign to 'isDebugEnabled' because it is a read-only property
+
+// Test build-time stripping
+const stripOptions: StripOptions = { level: 'info+', levels: ['audit'], loggers: ['log', 'auditLog'] };
+const { code: strippedCode, stripped }: { code: string; stripped: StrippedLogCall[] } = stripLogCalls('log.debug(1);', stripOptions);
+const stripPlugin: { name: string } = esbuildStripPlugin({ level: 'production', loggers: ['log'], filter: /\.ts$/ });
+const babelPlugin: [typeof babelStripPlugin, StripOptions] = [babelStripPlugin, { level: 'warning+', model: 'syslog', loggers: ['log'] }];
+// stripLogCalls('log.debug(1);', { loggers: ['log'] }); // Error: Property 'level' is missing
+// stripLogCalls('log.debug(1);', { level: 'info' }); // Error: Property 'loggers' is missing
+
+// Test record mode
+const recordLogger: LogFunction = makeLog({
+  records: true,
+  log: {
+    info: (record: LogRecord) => {
+      const line: string = `${record.time} ${record.levelName} ${record.logger} ${record.msg}`;
+      const level: number = record.level;
+      const extra: unknown[] = record.args;
+      const fields: Record<string, unknown> = record.fields;
+    }
+  }
+});
+
+// Test bound fields
+const reqLogger: LogFunction = logger.with({ requestId: 'r-1', userId: () => 42 });
+const nestedReqLogger: LogFunction = reqLogger.with({ step: 'auth' });
+nestedReqLogger.info('Authenticated');
+const boundSyslog: SyslogLogFunction = syslogLogger.with({ host: 'db-1' });
+// logger.with('requestId'); // Error: Argument of type 'string' is not assignable
+
+// Test log context
+const contextResult: number = runWithLogContext({ requestId: 'r-1', userId: () => 42 }, () => {
+  logger.info('Inside the context');
+  return 1;
+});
+const asyncContextResult: Promise<void> = runWithLogContext({ requestId: 'r-2' }, async () => {});
+// runWithLogContext('r-1', () => {}); // Error: Argument of type 'string' is not assignable
+
 // Lazy evaluation tests (TypeScript should accept functions as arguments)
 logger.info('Value:', () => ({ computed: true }));
 logger.debug(() => `Expensive: ${Date.now()}`);